@@ -0,0 +1,130 @@
+// Hands AI searches to a Web Worker so hints and auto-run don't block
+// the page. Only one search is in flight at a time: starting a new one, or
+// calling cancel(), supersedes the previous request and its callbacks never
+// fire. Pages opened from file:// (or browsers without workers) fall back to
+// searching on the UI thread.
+function AIClient(workerUrl) {
+  this.workerUrl = workerUrl || "js/ai_worker.js";
+  this.nextId    = 0;
+  this.pending   = null;
+  this.localAI   = null;
+  this.worker    = this.startWorker();
+}
+
+AIClient.prototype.startWorker = function () {
+  if (typeof Worker === "undefined") return null;
+
+  var worker;
+  try {
+    worker = new Worker(this.workerUrl);
+  } catch (e) {
+    console.warn("AI worker unavailable, searching on the page:", e.message);
+    return null;
+  }
+
+  worker.onmessage = this.handleMessage.bind(this);
+  worker.onerror = this.handleError.bind(this);
+  return worker;
+};
+
+AIClient.prototype.handleMessage = function (event) {
+  var data = event.data;
+  var pending = this.pending;
+  if (!pending || data.id !== pending.id) return; // superseded
+
+  if (data.type === "progress") {
+    if (pending.onProgress) pending.onProgress(data);
+  } else if (data.type === "result") {
+    this.pending = null;
+    pending.callback(data.result);
+  }
+};
+
+// Workers can also fail after construction (e.g. blocked script loads);
+// switch to local search and retry whatever was waiting
+AIClient.prototype.handleError = function (event) {
+  event.preventDefault();
+  console.warn("AI worker failed, searching on the page:", event.message);
+  this.worker.terminate();
+  this.worker = null;
+
+  var pending = this.pending;
+  if (pending) {
+    this.pending = null;
+    this.search(pending.grid, pending.options, pending.callback,
+                pending.onProgress);
+  }
+};
+
+// callback(result) receives the getBest result, which has the SmartAI.getBest
+// shape for every strategy; onProgress({ depth, move }) fires as the search
+// deepens (worker only)
+AIClient.prototype.search = function (grid, options, callback, onProgress) {
+  this.cancel();
+
+  var request = {
+    id: ++this.nextId,
+    grid: grid,
+    options: options || {},
+    callback: callback,
+    onProgress: onProgress
+  };
+  this.pending = request;
+
+  if (this.worker) {
+    this.worker.postMessage({
+      type: "search",
+      id: request.id,
+      state: grid.serialize(),
+      options: request.options
+    });
+  } else {
+    this.searchLocally(request);
+  }
+};
+
+// Defer one tick so the page can paint the progress indicator first
+AIClient.prototype.searchLocally = function (request) {
+  var self = this;
+  var grid = new Grid(request.grid.size, request.grid.serialize().cells);
+
+  request.timer = setTimeout(function () {
+    if (self.pending !== request) return;
+
+    self.localAI = AIRegistry.prepare(self.localAI, grid, request.options);
+
+    var result = self.localAI.getBest({
+      timeLimit: request.options.timeLimit,
+      explain: request.options.explain,
+      danger: request.options.danger
+    });
+    self.pending = null;
+    request.callback(result);
+  }, 0);
+};
+
+AIClient.prototype.isSearching = function () {
+  return !!this.pending;
+};
+
+// A worker can't be interrupted mid-search, so a busy one is replaced.
+// That also drops its transposition table, which is fine: cancels come from
+// edits that changed the position anyway.
+AIClient.prototype.cancel = function () {
+  var pending = this.pending;
+  if (!pending) return;
+  this.pending = null;
+
+  if (pending.timer) clearTimeout(pending.timer);
+  if (this.worker) {
+    this.worker.terminate();
+    this.worker = this.startWorker();
+  }
+};
+
+// New game: cached positions from the old one are no use
+AIClient.prototype.reset = function () {
+  this.cancel();
+  this.localAI = null;
+  if (this.worker) this.worker.postMessage({ type: "reset" });
+};
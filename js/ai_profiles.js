@@ -0,0 +1,170 @@
+// Named evaluation settings for SmartAI: the weight of each term of the
+// evaluation (see SmartAI.qualityComponents), the exponents applied to tile
+// levels, and how deep the search may go. Built-in profiles ship here; custom
+// ones are saved in localStorage.
+AIProfiles = {
+  storageKey: "gala-helper.profiles",
+  defaultName: "stacking",
+
+  builtIn: {
+    // The original hand-tuned weights: keep 2048s, line them up side by side
+    stacking: {
+      name: "stacking",
+      label: "2048 stacking",
+      weights: {
+        monotonicity: -47,
+        empty: 270,
+        merges: 700,
+        sum: -11,
+        maxTiles: 2000,    // Heavy reward for 2048 tiles
+        stacking: 1000,    // Reward for stacking, per adjacent 2048 pair
+        layout: 40,        // Big tiles along the corner layout, if one is set
+        deadBoard: -200000 // Heavy penalty for no moves available
+      },
+      exponents: {
+        sum: 3.5,          // tile level power for tiles below 2048
+        sumLarge: 2.5,     // reduced power for 2048+ tiles
+        monotonicity: 4
+      },
+      maxDepth: 12
+    },
+
+    // Plays for room to move: values empty cells and merges over tile size
+    survival: {
+      name: "survival",
+      label: "Survival",
+      weights: {
+        monotonicity: -30,
+        empty: 500,
+        merges: 900,
+        sum: -8,
+        maxTiles: 0,
+        stacking: 0,
+        layout: 40,
+        deadBoard: -400000
+      },
+      exponents: {
+        sum: 3.5,
+        sumLarge: 3.5,
+        monotonicity: 4
+      },
+      maxDepth: 12
+    },
+
+    // Keeps rows and columns strictly ordered, at some cost in space
+    ordered: {
+      name: "ordered",
+      label: "Strict ordering",
+      weights: {
+        monotonicity: -90,
+        empty: 200,
+        merges: 500,
+        sum: -11,
+        maxTiles: 2000,
+        stacking: 1000,
+        layout: 40,
+        deadBoard: -200000
+      },
+      exponents: {
+        sum: 3.5,
+        sumLarge: 2.5,
+        monotonicity: 4
+      },
+      maxDepth: 12
+    }
+  }
+};
+
+AIProfiles.isBuiltIn = function (name) {
+  return Object.prototype.hasOwnProperty.call(AIProfiles.builtIn, name);
+};
+
+// Fills anything a profile leaves out from the default one and drops
+// values that aren't numbers, so a hand-edited profile can't break the search
+AIProfiles.normalize = function (profile) {
+  var base = AIProfiles.builtIn[AIProfiles.defaultName];
+  var result = {
+    name: String(profile.name || "custom"),
+    label: String(profile.label || profile.name || "custom"),
+    weights: {},
+    exponents: {},
+    maxDepth: base.maxDepth
+  };
+
+  ["weights", "exponents"].forEach(function (group) {
+    var values = profile[group] || {};
+    for (var key in base[group]) {
+      var value = parseFloat(values[key]);
+      result[group][key] = isFinite(value) ? value : base[group][key];
+    }
+  });
+
+  var depth = parseInt(profile.maxDepth, 10);
+  if (depth >= 1) result.maxDepth = depth;
+  return result;
+};
+
+AIProfiles.storage = function () {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null; // disabled or unavailable (e.g. inside the worker)
+  }
+};
+
+AIProfiles.loadCustom = function () {
+  var storage = AIProfiles.storage();
+  if (!storage) return {};
+  try {
+    var saved = JSON.parse(storage.getItem(AIProfiles.storageKey)) || {};
+    var profiles = {};
+    for (var name in saved) {
+      if (AIProfiles.isBuiltIn(name)) continue;
+      profiles[name] = AIProfiles.normalize(saved[name]);
+    }
+    return profiles;
+  } catch (e) {
+    console.warn("Ignoring unreadable custom profiles:", e.message);
+    return {};
+  }
+};
+
+AIProfiles.saveCustom = function (profile) {
+  profile = AIProfiles.normalize(profile);
+  if (AIProfiles.isBuiltIn(profile.name)) {
+    throw new Error("\"" + profile.name +
+                    "\" is a built-in profile, pick another name");
+  }
+
+  var storage = AIProfiles.storage();
+  if (!storage) throw new Error("Local storage is not available");
+
+  var profiles = AIProfiles.loadCustom();
+  profiles[profile.name] = profile;
+  storage.setItem(AIProfiles.storageKey, JSON.stringify(profiles));
+  return profile;
+};
+
+AIProfiles.removeCustom = function (name) {
+  var storage = AIProfiles.storage();
+  if (!storage || AIProfiles.isBuiltIn(name)) return;
+
+  var profiles = AIProfiles.loadCustom();
+  delete profiles[name];
+  storage.setItem(AIProfiles.storageKey, JSON.stringify(profiles));
+};
+
+// Built-in profiles first, then custom ones
+AIProfiles.all = function () {
+  var profiles = [];
+  var custom = AIProfiles.loadCustom();
+  for (var name in AIProfiles.builtIn) profiles.push(AIProfiles.builtIn[name]);
+  for (name in custom) profiles.push(custom[name]);
+  return profiles;
+};
+
+AIProfiles.get = function (name) {
+  if (AIProfiles.isBuiltIn(name)) return AIProfiles.builtIn[name];
+  return AIProfiles.loadCustom()[name] ||
+    AIProfiles.builtIn[AIProfiles.defaultName];
+};
@@ -0,0 +1,45 @@
+// Strategies hints and auto-run can search with. Every strategy builds an AI
+// from a grid; the AI takes setGrid(grid), configure(options) with the
+// search options GameManager sends (each strategy reads the ones it knows)
+// and getBest(options), which returns the SmartAI.getBest shape, so the
+// page doesn't care which one is running. AI files register themselves.
+AIRegistry = {
+  defaultName: "smart",
+  strategies: {},
+  order: []
+};
+
+// strategy: { label, settings, create(grid, options) }; settings names the
+// search options it reads, so the page only shows the controls for those
+AIRegistry.register = function (name, strategy) {
+  if (!AIRegistry.strategies[name]) AIRegistry.order.push(name);
+  AIRegistry.strategies[name] = Object.assign({ name: name }, strategy);
+};
+
+AIRegistry.get = function (name) {
+  return AIRegistry.strategies[name] ||
+    AIRegistry.strategies[AIRegistry.defaultName];
+};
+
+AIRegistry.all = function () {
+  return AIRegistry.order.map(function (name) {
+    return AIRegistry.strategies[name];
+  });
+};
+
+// The AI for options.strategy, pointed at `grid` and configured. `current`
+// is reused when it is the same strategy for the same board size, so its
+// caches survive from one search to the next.
+AIRegistry.prepare = function (current, grid, options) {
+  var strategy = AIRegistry.get(options.strategy);
+  var ai = current;
+  if (!ai || ai.strategy !== strategy.name || ai.boardSize !== grid.size) {
+    ai = strategy.create(grid, options);
+    ai.strategy = strategy.name;
+    ai.boardSize = grid.size;
+  } else {
+    ai.setGrid(grid);
+  }
+  ai.configure(options);
+  return ai;
+};
@@ -0,0 +1,44 @@
+// Runs AI searches (any AIRegistry strategy) off the UI thread. Messages in:
+//   { type: "search", id, state: Grid.serialize(), options }
+//   { type: "reset" }  - a new game started, forget cached positions
+// Messages out:
+//   { type: "progress", id, depth, move }
+//   { type: "result", id, result }
+importScripts("seeded_random.js", "grid.js", "tile.js", "bitboard.js",
+              "transposition_table.js", "ai_profiles.js", "ai_registry.js",
+              "board_layout.js", "danger_estimator.js", "endgame_solver.js",
+              "smart_ai.js", "monte_carlo_ai.js");
+
+var ai = null;
+
+var search = function (data) {
+  var grid = new Grid(data.state.size, data.state.cells);
+  var options = data.options || {};
+
+  ai = AIRegistry.prepare(ai, grid, options);
+
+  var result = ai.getBest({
+    timeLimit: options.timeLimit,
+    explain: options.explain,
+    danger: options.danger,
+    onProgress: function (progress) {
+      self.postMessage({
+        type: "progress",
+        id: data.id,
+        depth: progress.depth,
+        move: progress.move
+      });
+    }
+  });
+
+  self.postMessage({ type: "result", id: data.id, result: result });
+};
+
+self.onmessage = function (event) {
+  var data = event.data;
+  if (data.type === "search") {
+    search(data);
+  } else if (data.type === "reset") {
+    ai = null;
+  }
+};
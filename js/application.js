@@ -1,33 +1,23 @@
 animationDelay = 100;
-minSearchTime = 100;
+minSearchTime = 100;    // search budget per auto-run move, in milliseconds
+hintSearchTime = 500;   // search budget for the hint button, in milliseconds
+reviewSearchTime = 200; // search budget per reviewed position, in milliseconds
 
 window.requestAnimationFrame(function () {
-  const manager = new GameManager(4, KeyboardInputManager, HTMLActuator);
+  const manager = new GameManager(4, KeyboardInputManager, HTMLActuator,
+                                  LocalStorageManager);
 
-  // Attach event listeners to all grid cells
-  const gridCells = document.querySelectorAll('.grid-cell');
-  gridCells.forEach((cell, cellIndex) => {
-    cell.addEventListener('click', (event) => {
-      const x = cellIndex % 4;
-      const y = Math.floor(cellIndex / 4);
-      manager.handleCellClick(x, y);
-    });
-  });
-
-  // Get existing elements
-  const editModeButton = document.querySelector('#game-controls > :first-child');
-  const resetButton = document.querySelector('#game-controls > :nth-child(2)');
-
-  // Add classes to existing elements
-  editModeButton.classList.add('edit-mode-button');
-  resetButton.classList.add('reset-button');
-
-  // Set up event listeners
-  editModeButton.addEventListener('click', function() {
-    manager.toggleEditMode();
-  });
+  // Controllers emit through the keyboard manager's events
+  new GamepadInputManager(manager.inputManager, manager.actuator);
 
-  resetButton.addEventListener('click', function() {
-    manager.reset();
+  // Grid cells and tiles are rebuilt all the time, so listen on the game
+  // container and read the position from the clicked cell or tile
+  const gameContainer = document.querySelector('.game-container');
+  gameContainer.addEventListener('click', (event) => {
+    const cell = event.target.closest('.grid-cell, .tile');
+    if (!cell) return;
+    const x = Number(cell.getAttribute('data-x'));
+    const y = Number(cell.getAttribute('data-y'));
+    manager.handleCellClick(x, y);
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,240 @@
+/**
+ * Compact board representation for the AI search
+ * A board is a plain array of `size` integers, one per row. Row y keeps the
+ * tile in column x in bits 4x..4x+3 as its exponent (0 = empty, 1 = 2,
+ * 2 = 4, ... 11 = 2048). Moves are looked up per row in precomputed tables,
+ * so searching a position costs one small array instead of Tile objects,
+ * traversal arrays and position objects.
+ * Grid stays the source of truth; convert with fromGrid/toGrid at the edges.
+ */
+Bitboard = {};
+
+// Grid.maxTileValue (2048) as an exponent: tiles this big never merge
+Bitboard.maxExponent = 11;
+
+// Exponents have to fit in a nibble
+Bitboard.exponentLimit = 15;
+
+/**
+ * Row lookup tables for one board size
+ * Up to 5x5 every possible row is precomputed into typed arrays (16^5 rows).
+ * Bigger boards fill a cache on demand instead of allocating 16^6 entries;
+ * it starts over once it holds maxCached rows, so a long-lived worker
+ * doesn't grow without bound.
+ */
+function RowTable(size) {
+  this.size = size;
+  this.count = Math.pow(16, size);
+
+  if (this.count <= RowTable.maxPrecomputed) {
+    this.left       = new Uint32Array(this.count);
+    this.right      = new Uint32Array(this.count);
+    this.leftScore  = new Uint32Array(this.count);
+    this.rightScore = new Uint32Array(this.count);
+
+    for (var row = 0; row < this.count; row++) {
+      var entry = this.compute(row);
+      this.left[row]       = entry[0];
+      this.right[row]      = entry[1];
+      this.leftScore[row]  = entry[2];
+      this.rightScore[row] = entry[3];
+    }
+  } else {
+    this.cache = new Map();
+  }
+}
+
+RowTable.maxPrecomputed = Math.pow(16, 5);
+RowTable.maxCached = 65536;
+
+// Row after sliding towards column 0 (or the last column) and the score the
+// merges earn. Same rules as Grid.move: a tile merges at most once per move
+// and tiles of maxExponent stay put.
+RowTable.prototype.compute = function (row) {
+  var left  = this.slide(row);
+  var right = this.slide(this.reverse(row));
+  return [left.row, this.reverse(right.row), left.score, right.score];
+};
+
+RowTable.prototype.slide = function (row) {
+  var result = 0, score = 0, count = 0;
+  var last = 0, lastMerged = false;
+
+  for (var i = 0; i < this.size; i++) {
+    var exponent = (row >>> (4 * i)) & 15;
+    if (!exponent) continue;
+
+    var merges = count && !lastMerged && last === exponent &&
+      exponent < Bitboard.maxExponent;
+    if (merges) {
+      // Bump the previous tile by one exponent
+      result += 1 << (4 * (count - 1));
+      score += Math.pow(2, exponent + 1);
+      lastMerged = true;
+    } else {
+      result |= exponent << (4 * count);
+      last = exponent;
+      lastMerged = false;
+      count++;
+    }
+  }
+
+  return { row: result >>> 0, score: score };
+};
+
+RowTable.prototype.reverse = function (row) {
+  var result = 0;
+  for (var i = 0; i < this.size; i++) {
+    result |= ((row >>> (4 * i)) & 15) << (4 * (this.size - 1 - i));
+  }
+  return result >>> 0;
+};
+
+RowTable.prototype.entry = function (row) {
+  var entry = this.cache.get(row);
+  if (!entry) {
+    entry = this.compute(row);
+    if (this.cache.size >= RowTable.maxCached) this.cache.clear();
+    this.cache.set(row, entry);
+  }
+  return entry;
+};
+
+RowTable.prototype.move = function (row, toRight) {
+  if (this.left) return toRight ? this.right[row] : this.left[row];
+  return this.entry(row)[toRight ? 1 : 0];
+};
+
+RowTable.prototype.score = function (row, toRight) {
+  if (this.left) return toRight ? this.rightScore[row] : this.leftScore[row];
+  return this.entry(row)[toRight ? 3 : 2];
+};
+
+Bitboard.tables = {};
+
+Bitboard.rowTable = function (size) {
+  if (!Bitboard.tables[size]) {
+    Bitboard.tables[size] = new RowTable(size);
+  }
+  return Bitboard.tables[size];
+};
+
+Bitboard.fromGrid = function (grid) {
+  var board = [];
+  for (var y = 0; y < grid.size; y++) {
+    var row = 0;
+    for (var x = 0; x < grid.size; x++) {
+      var tile = grid.cells[x][y];
+      if (tile) {
+        var exponent = Math.log2(tile.value);
+        var fits = exponent <= Bitboard.exponentLimit &&
+          exponent === Math.floor(exponent);
+        if (!fits) {
+          throw new Error("Tile value " + tile.value +
+                          " does not fit in a bitboard");
+        }
+        row |= exponent << (4 * x);
+      }
+    }
+    board.push(row >>> 0);
+  }
+  return board;
+};
+
+Bitboard.toGrid = function (board) {
+  var grid = new Grid(board.length);
+  for (var y = 0; y < board.length; y++) {
+    for (var x = 0; x < board.length; x++) {
+      var exponent = Bitboard.exponent(board, x, y);
+      if (exponent) {
+        grid.insertTile(new Tile({ x: x, y: y }, Math.pow(2, exponent)));
+      }
+    }
+  }
+  return grid;
+};
+
+Bitboard.exponent = function (board, x, y) {
+  return (board[y] >>> (4 * x)) & 15;
+};
+
+// Copy of the board with one cell set to the given exponent (0 clears it)
+Bitboard.withExponent = function (board, x, y, exponent) {
+  var result = board.slice();
+  var shift = 4 * x;
+  result[y] = ((result[y] & ~(15 << shift)) | (exponent << shift)) >>> 0;
+  return result;
+};
+
+Bitboard.emptyCount = function (board) {
+  var count = 0;
+  for (var y = 0; y < board.length; y++) {
+    for (var x = 0; x < board.length; x++) {
+      if (!((board[y] >>> (4 * x)) & 15)) count++;
+    }
+  }
+  return count;
+};
+
+// Columns as rows: cell (x, y) ends up at (y, x)
+Bitboard.transpose = function (board) {
+  var size = board.length;
+  var result = new Array(size).fill(0);
+  for (var y = 0; y < size; y++) {
+    for (var x = 0; x < size; x++) {
+      result[x] |= ((board[y] >>> (4 * x)) & 15) << (4 * y);
+    }
+  }
+  for (var i = 0; i < size; i++) result[i] = result[i] >>> 0;
+  return result;
+};
+
+/**
+ * Same contract as Grid.move, without touching a Grid
+ * Directions follow Grid.vectors: 0 up, 1 right, 2 down, 3 left.
+ * Up and down slide the transposed board, so columns become rows.
+ */
+Bitboard.move = function (board, direction) {
+  var size = board.length;
+  var table = Bitboard.rowTable(size);
+  var vertical = direction === 0 || direction === 2;
+  var toRight = direction === 1 || direction === 2;
+  var lines = vertical ? Bitboard.transpose(board) : board;
+  var result = new Array(size);
+  var moved = false;
+  var score = 0;
+
+  for (var i = 0; i < size; i++) {
+    var line = lines[i];
+    result[i] = table.move(line, toRight);
+    if (result[i] !== line) {
+      moved = true;
+      score += table.score(line, toRight);
+    }
+  }
+
+  return {
+    board: vertical ? Bitboard.transpose(result) : result,
+    moved: moved,
+    score: score
+  };
+};
+
+// True when at least one direction changes the board
+Bitboard.canMove = function (board) {
+  var table = Bitboard.rowTable(board.length);
+  var columns = Bitboard.transpose(board);
+  for (var i = 0; i < board.length; i++) {
+    if (table.move(board[i], false) !== board[i] ||
+        table.move(board[i], true) !== board[i] ||
+        table.move(columns[i], false) !== columns[i] ||
+        table.move(columns[i], true) !== columns[i]) {
+      return true;
+    }
+  }
+  return false;
+};
+
+Bitboard.key = function (board) {
+  return board.join(',');
+};
@@ -0,0 +1,83 @@
+// Where the big tiles should live: an anchor corner, and the path the tiles
+// should fall off along from there - a snake (back and forth along the rows)
+// or row by row (every row starting on the anchor's side). SmartAI rewards
+// boards that follow it, and hints flag moves that push the anchored tile
+// out of its corner. A layout is { corner, order }; a null corner means the
+// player has no preference.
+BoardLayout = {
+  corners: ["bottom-left", "bottom-right", "top-left", "top-right"],
+  orders: ["snake", "rows"],
+  ratio: 0.5, // each cell along the path counts this much of the one before
+  paths: {}
+};
+
+BoardLayout.normalize = function (layout) {
+  layout = layout || {};
+  return {
+    corner: BoardLayout.corners.indexOf(layout.corner) !== -1 ?
+      layout.corner : null,
+    order: layout.order === "rows" ? "rows" : "snake"
+  };
+};
+
+BoardLayout.anchor = function (size, corner) {
+  return {
+    x: /right/.test(corner) ? size - 1 : 0,
+    y: /bottom/.test(corner) ? size - 1 : 0
+  };
+};
+
+// Every cell, from the anchor outwards
+BoardLayout.path = function (size, layout) {
+  var key = size + ":" + layout.corner + ":" + layout.order;
+  if (BoardLayout.paths[key]) return BoardLayout.paths[key];
+
+  var anchor = BoardLayout.anchor(size, layout.corner);
+  var cells = [];
+  for (var row = 0; row < size; row++) {
+    var y = anchor.y === 0 ? row : size - 1 - row;
+    var fromAnchorSide = layout.order === "rows" || row % 2 === 0;
+    for (var i = 0; i < size; i++) {
+      var x = fromAnchorSide === (anchor.x === 0) ? i : size - 1 - i;
+      cells.push({ x: x, y: y });
+    }
+  }
+  return BoardLayout.paths[key] = cells;
+};
+
+// Tile levels raised to `power`, weighted down along the path: highest when
+// the biggest tiles sit at the anchor in path order
+BoardLayout.score = function (board, layout, power) {
+  if (!layout.corner) return 0;
+  var total = 0, factor = 1;
+  BoardLayout.path(board.length, layout).forEach(function (cell) {
+    total += Math.pow(Bitboard.exponent(board, cell.x, cell.y), power) * factor;
+    factor *= BoardLayout.ratio;
+  });
+  return total;
+};
+
+// True when the anchor corner holds the biggest tile on the board
+BoardLayout.anchored = function (board, layout) {
+  if (!layout.corner) return false;
+  var size = board.length;
+  var anchor = BoardLayout.anchor(size, layout.corner);
+  var exponent = Bitboard.exponent(board, anchor.x, anchor.y);
+  if (!exponent) return false;
+
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (Bitboard.exponent(board, x, y) > exponent) return false;
+    }
+  }
+  return true;
+};
+
+// The move from `before` to `after` takes the anchored tile out of its
+// corner; merging into it doesn't count
+BoardLayout.dislodges = function (before, after, layout) {
+  if (!BoardLayout.anchored(before, layout)) return false;
+  var anchor = BoardLayout.anchor(before.length, layout.corner);
+  return Bitboard.exponent(after, anchor.x, anchor.y) <
+         Bitboard.exponent(before, anchor.x, anchor.y);
+};
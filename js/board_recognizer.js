@@ -0,0 +1,308 @@
+/**
+ * Reads a board out of a screenshot of the Gala game
+ * The screenshot is trimmed to the board (the area that differs from the
+ * colour in its top left corner), split into size x size cells, and every
+ * cell is compared with the tile artwork in img/level_1.png ... level_11.png
+ * at a small common resolution. Cells that are nearly one flat colour are
+ * empty. Everything runs locally on canvas pixels; nothing is uploaded.
+ *
+ * The pixel work takes ImageData-like objects ({ width, height, data }), so
+ * it doesn't depend on the page; only loading images needs a canvas.
+ */
+function BoardRecognizer(templateUrl) {
+  this.templateUrl = templateUrl || "img/level_{level}.png";
+  this.templates = null; // [{ exponent, features }] once loaded
+}
+
+BoardRecognizer.levels = 11; // level_N.png is a tile of 2^N
+// Cells and templates are compared at 16x16
+BoardRecognizer.sampleSize = 16;
+// Share of each cell edge skipped (gaps, borders)
+BoardRecognizer.inset = 0.15;
+// Per channel, when trimming the border
+BoardRecognizer.backgroundTolerance = 24;
+// Brightness spread below which a cell is empty
+BoardRecognizer.emptyDeviation = 10;
+// Colour distance at which a match is worthless
+BoardRecognizer.maxDistance = 90;
+// Cells below this are flagged for correction
+BoardRecognizer.minConfidence = 0.35;
+// Nudges tried each way when aligning a cell, and the share of the cell size
+// per nudge
+BoardRecognizer.shifts = 2;
+BoardRecognizer.shiftStep = 0.03;
+
+// Loads and samples the tile artwork once; callback(error)
+BoardRecognizer.prototype.loadTemplates = function (callback) {
+  if (this.templates) return callback(null);
+
+  var self = this;
+  var templates = [];
+  var pending = BoardRecognizer.levels;
+  var failed = false;
+
+  for (var level = 1; level <= BoardRecognizer.levels; level++) {
+    (function (exponent) {
+      var url = self.templateUrl.replace("{level}", exponent);
+      self.loadImage(url, function (error, image) {
+        if (failed) return;
+        var features;
+        try {
+          if (error) throw error;
+          features = self.sampleTile(self.imageData(image));
+        } catch (e) {
+          failed = true;
+          return callback(e);
+        }
+        templates.push({ exponent: exponent, features: features });
+        if (--pending === 0) {
+          self.templates = templates;
+          callback(null);
+        }
+      });
+    })(level);
+  }
+};
+
+BoardRecognizer.prototype.loadImage = function (src, callback) {
+  var image = new Image();
+  image.onload = function () { callback(null, image); };
+  image.onerror = function () {
+    callback(new Error("Could not load image " + src));
+  };
+  image.src = src;
+};
+
+BoardRecognizer.prototype.imageData = function (image) {
+  var canvas = document.createElement("canvas");
+  canvas.width = image.naturalWidth || image.width;
+  canvas.height = image.naturalHeight || image.height;
+  var context = canvas.getContext("2d");
+  context.drawImage(image, 0, 0);
+  try {
+    return context.getImageData(0, 0, canvas.width, canvas.height);
+  } catch (e) {
+    // Browsers taint canvases drawn from file:// images
+    throw new Error("The browser blocked reading image pixels; " +
+                    "open the helper over http(s) to use screenshots");
+  }
+};
+
+/**
+ * Recognizes a pasted or dropped image file
+ * callback(error, result), result as in recognizeImageData
+ */
+BoardRecognizer.prototype.recognize = function (blob, size, callback) {
+  var self = this;
+  this.loadTemplates(function (error) {
+    if (error) return callback(error);
+
+    var url = URL.createObjectURL(blob);
+    self.loadImage(url, function (error, image) {
+      URL.revokeObjectURL(url);
+      if (error) return callback(new Error("The pasted file is not an image"));
+
+      var result;
+      try {
+        result = self.recognizeImageData(self.imageData(image), size);
+      } catch (e) {
+        return callback(e);
+      }
+      callback(null, result);
+    });
+  });
+};
+
+/**
+ * Returns { size, cells, uncertain }: cells[x][y] is { exponent, confidence }
+ * (exponent 0 for empty) and uncertain lists the { x, y } positions whose
+ * confidence is below minConfidence
+ */
+BoardRecognizer.prototype.recognizeImageData = function (data, size) {
+  var bounds = this.boardBounds(data);
+  if (bounds.width < size * 4 || bounds.height < size * 4) {
+    throw new Error("No board found in the screenshot");
+  }
+
+  var cellWidth = bounds.width / size;
+  var cellHeight = bounds.height / size;
+  var cells = [];
+  var uncertain = [];
+
+  for (var x = 0; x < size; x++) {
+    cells.push([]);
+    for (var y = 0; y < size; y++) {
+      var cell = this.classifyCell(data, {
+        x: bounds.x + x * cellWidth,
+        y: bounds.y + y * cellHeight,
+        width: cellWidth,
+        height: cellHeight
+      });
+      cells[x].push(cell);
+      if (cell.confidence < BoardRecognizer.minConfidence) {
+        uncertain.push({ x: x, y: y });
+      }
+    }
+  }
+
+  return { size: size, cells: cells, uncertain: uncertain };
+};
+
+// Smallest rectangle holding every pixel that differs from the top left one
+BoardRecognizer.prototype.boardBounds = function (data) {
+  var d = data.data;
+  var tolerance = BoardRecognizer.backgroundTolerance;
+  var left = data.width, top = data.height, right = -1, bottom = -1;
+
+  for (var y = 0; y < data.height; y++) {
+    for (var x = 0; x < data.width; x++) {
+      var i = (y * data.width + x) * 4;
+      if (Math.abs(d[i] - d[0]) > tolerance ||
+          Math.abs(d[i + 1] - d[1]) > tolerance ||
+          Math.abs(d[i + 2] - d[2]) > tolerance) {
+        if (x < left) left = x;
+        if (x > right) right = x;
+        if (y < top) top = y;
+        if (y > bottom) bottom = y;
+      }
+    }
+  }
+
+  // A screenshot already cropped to the board has nothing to trim
+  if (right < 0) return { x: 0, y: 0, width: data.width, height: data.height };
+  return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+};
+
+// Samples the middle of a cell (or of a whole template image), leaving out
+// the edges where gaps and borders differ between the game and the artwork
+BoardRecognizer.prototype.sampleTile = function (data, rect) {
+  rect = rect || { x: 0, y: 0, width: data.width, height: data.height };
+  var inset = BoardRecognizer.inset;
+  return this.sample(data, {
+    x: rect.x + rect.width * inset,
+    y: rect.y + rect.height * inset,
+    width: rect.width * (1 - 2 * inset),
+    height: rect.height * (1 - 2 * inset)
+  });
+};
+
+/**
+ * Averages a rectangle of the image down to sampleSize x sampleSize RGBA
+ * values (0..255, alpha 0..1), weighting source pixels by how much of them
+ * falls in each sample
+ */
+BoardRecognizer.prototype.sample = function (data, rect) {
+  var n = BoardRecognizer.sampleSize;
+  var features = new Float32Array(n * n * 4);
+  var stepX = rect.width / n, stepY = rect.height / n;
+
+  for (var sy = 0; sy < n; sy++) {
+    for (var sx = 0; sx < n; sx++) {
+      var x0 = rect.x + sx * stepX, x1 = x0 + stepX;
+      var y0 = rect.y + sy * stepY, y1 = y0 + stepY;
+      var r = 0, g = 0, b = 0, a = 0, total = 0;
+
+      var yEnd = Math.min(Math.ceil(y1), data.height);
+      var xEnd = Math.min(Math.ceil(x1), data.width);
+      for (var py = Math.max(0, Math.floor(y0)); py < yEnd; py++) {
+        var wy = Math.min(y1, py + 1) - Math.max(y0, py);
+        for (var px = Math.max(0, Math.floor(x0)); px < xEnd; px++) {
+          var weight = wy * (Math.min(x1, px + 1) - Math.max(x0, px));
+          var i = (py * data.width + px) * 4;
+          r += data.data[i] * weight;
+          g += data.data[i + 1] * weight;
+          b += data.data[i + 2] * weight;
+          a += data.data[i + 3] * weight;
+          total += weight;
+        }
+      }
+
+      var j = (sy * n + sx) * 4;
+      total = total || 1;
+      features[j] = r / total;
+      features[j + 1] = g / total;
+      features[j + 2] = b / total;
+      features[j + 3] = a / total / 255;
+    }
+  }
+  return features;
+};
+
+// Equal slices of the board don't line up exactly with the tiles (the outer
+// gap is thicker than half an inner one), so each cell is also sampled
+// nudged a little in every direction and the best fitting nudge wins
+BoardRecognizer.prototype.classifyCell = function (data, rect) {
+  var features = this.sampleTile(data, rect);
+  var deviation = this.brightnessDeviation(features);
+  if (deviation < BoardRecognizer.emptyDeviation) {
+    return {
+      exponent: 0,
+      confidence: 1 - deviation / BoardRecognizer.emptyDeviation / 2
+    };
+  }
+
+  var best = null;
+  var shifts = BoardRecognizer.shifts;
+  for (var dx = -shifts; dx <= shifts; dx++) {
+    for (var dy = -shifts; dy <= shifts; dy++) {
+      var match = this.classify(this.sampleTile(data, {
+        x: rect.x + dx * BoardRecognizer.shiftStep * rect.width,
+        y: rect.y + dy * BoardRecognizer.shiftStep * rect.height,
+        width: rect.width,
+        height: rect.height
+      }));
+      if (!best || match.distance < best.distance) best = match;
+    }
+  }
+  return { exponent: best.exponent, confidence: best.confidence };
+};
+
+// Nearest template; confidence combines how close the best match is with
+// how far ahead of the runner-up it is
+BoardRecognizer.prototype.classify = function (features) {
+  var best = null, bestDistance = Infinity, secondDistance = Infinity;
+  for (var t = 0; t < this.templates.length; t++) {
+    var distance = this.distance(features, this.templates[t].features);
+    if (distance < bestDistance) {
+      secondDistance = bestDistance;
+      bestDistance = distance;
+      best = this.templates[t];
+    } else if (distance < secondDistance) {
+      secondDistance = distance;
+    }
+  }
+
+  var margin = secondDistance > 0 ?
+    (secondDistance - bestDistance) / secondDistance : 0;
+  var closeness = Math.max(0, 1 - bestDistance / BoardRecognizer.maxDistance);
+  return {
+    exponent: best.exponent,
+    distance: bestDistance,
+    confidence: Math.min(1, margin * 2) * closeness
+  };
+};
+
+BoardRecognizer.prototype.brightnessDeviation = function (features) {
+  var count = features.length / 4, sum = 0, squares = 0;
+  for (var i = 0; i < features.length; i += 4) {
+    var brightness = (features[i] + features[i + 1] + features[i + 2]) / 3;
+    sum += brightness;
+    squares += brightness * brightness;
+  }
+  var mean = sum / count;
+  return Math.sqrt(Math.max(0, squares / count - mean * mean));
+};
+
+// Mean colour difference over the template's opaque parts
+BoardRecognizer.prototype.distance = function (features, template) {
+  var sum = 0, weight = 0;
+  for (var i = 0; i < features.length; i += 4) {
+    var alpha = template[i + 3];
+    if (!alpha) continue;
+    sum += alpha * (Math.abs(features[i] - template[i]) +
+                    Math.abs(features[i + 1] - template[i + 1]) +
+                    Math.abs(features[i + 2] - template[i + 2])) / 3;
+    weight += alpha;
+  }
+  return weight ? sum / weight : Infinity;
+};
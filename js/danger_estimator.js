@@ -0,0 +1,160 @@
+/**
+ * How likely a move is to end the game soon: for the board a move leaves,
+ * the chance that the game is over within the next `spawns` spawned tiles,
+ * with the 2/4 odds of Grid.addRandomTile.
+ * Near-full boards are enumerated exactly, the player answering every spawn
+ * with whichever move survives best. Once that would take more than
+ * nodeLimit positions, random games are sampled instead. Sampled games only
+ * look one spawn ahead for their moves, so they can overstate the risk; the
+ * result says which of the two it was.
+ */
+function DangerEstimator(options) {
+  this.options = Object.assign({}, DangerEstimator.defaults, options);
+}
+
+DangerEstimator.defaults = {
+  spawns: 3,        // how many spawns ahead the game has to survive
+  nodeLimit: 20000, // spawned positions enumerated before switching to sampling
+  samples: 200,     // random games per move when sampling
+  seed: 2048        // sampling seed, so the same board gets the same estimate
+};
+
+// Hints warn when the recommended move is at least this likely to lose
+DangerEstimator.warnAt = 0.05;
+
+// board: right after the move, before the spawn.
+// Returns { probability, exact, spawns }
+DangerEstimator.prototype.estimate = function (board) {
+  var spawns = this.options.spawns;
+  this.nodes = 0;
+  this.memo = new Map();
+
+  var survival = this.survival(board, spawns);
+  this.memo = null;
+  if (survival !== null) {
+    return { probability: 1 - survival, exact: true, spawns: spawns };
+  }
+  return { probability: this.sample(board), exact: false, spawns: spawns };
+};
+
+// Chance to survive `spawns` more spawns with the best replies, starting
+// with a spawn on `board`; null when enumerating goes over nodeLimit
+DangerEstimator.prototype.survival = function (board, spawns) {
+  var key = spawns + ':' + Bitboard.key(board);
+  if (this.memo.has(key)) return this.memo.get(key);
+
+  var size = board.length;
+  var empty = Bitboard.emptyCount(board);
+  if (!empty) return Bitboard.canMove(board) ? 1 : 0;
+
+  var twoProbability = Grid.prototype.twoProbability;
+  var total = 0;
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (Bitboard.exponent(board, x, y)) continue;
+      if ((this.nodes += 2) > this.options.nodeLimit) return null;
+
+      var two = this.afterSpawn(Bitboard.withExponent(board, x, y, 1),
+                                spawns - 1);
+      var four = this.afterSpawn(Bitboard.withExponent(board, x, y, 2),
+                                 spawns - 1);
+      if (two === null || four === null) return null;
+      total += twoProbability * two + (1 - twoProbability) * four;
+    }
+  }
+
+  total /= empty;
+  this.memo.set(key, total);
+  return total;
+};
+
+// Survival chance once a tile has spawned: 0 when no move is left
+DangerEstimator.prototype.afterSpawn = function (board, spawns) {
+  if (!Bitboard.canMove(board)) return 0;
+  if (spawns === 0) return 1;
+
+  var best = 0;
+  for (var d = 0; d < 4 && best < 1; d++) {
+    var result = Bitboard.move(board, d);
+    if (!result.moved) continue;
+    var value = this.survival(result.board, spawns);
+    if (value === null) return null;
+    best = Math.max(best, value);
+  }
+  return best;
+};
+
+// Share of sampled games that end within the horizon
+DangerEstimator.prototype.sample = function (board) {
+  var random = new SeededRandom(this.options.seed);
+  var losses = 0;
+  for (var i = 0; i < this.options.samples; i++) {
+    if (!this.playOut(board, random)) losses++;
+  }
+  return losses / this.options.samples;
+};
+
+// One random continuation; false when the game ends within the horizon
+DangerEstimator.prototype.playOut = function (board, random) {
+  for (var spawn = 1; spawn <= this.options.spawns; spawn++) {
+    board = this.randomSpawn(board, random);
+    if (!Bitboard.canMove(board)) return false;
+    if (spawn < this.options.spawns) board = this.safestMove(board);
+  }
+  return true;
+};
+
+// Same odds as Grid.addRandomTile
+DangerEstimator.prototype.randomSpawn = function (board, random) {
+  var size = board.length;
+  var cells = [];
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (!Bitboard.exponent(board, x, y)) cells.push({ x: x, y: y });
+    }
+  }
+  if (!cells.length) return board;
+
+  var exponent = random.next() < Grid.prototype.twoProbability ? 1 : 2;
+  var cell = cells[Math.floor(random.next() * cells.length)];
+  return Bitboard.withExponent(board, cell.x, cell.y, exponent);
+};
+
+// The legal move least likely to lose to the next spawn; ties go to the
+// one leaving the most empty cells
+DangerEstimator.prototype.safestMove = function (board) {
+  var best = null, bestSurvival = -1, bestEmpty = -1;
+  for (var d = 0; d < 4; d++) {
+    var result = Bitboard.move(board, d);
+    if (!result.moved) continue;
+    var survival = this.nextSpawnSurvival(result.board);
+    var empty = Bitboard.emptyCount(result.board);
+    if (survival > bestSurvival ||
+        (survival === bestSurvival && empty > bestEmpty)) {
+      best = result.board;
+      bestSurvival = survival;
+      bestEmpty = empty;
+    }
+  }
+  return best;
+};
+
+// Chance the board still has a move after one spawn
+DangerEstimator.prototype.nextSpawnSurvival = function (board) {
+  var size = board.length;
+  var twoProbability = Grid.prototype.twoProbability;
+  var total = 0, empty = 0;
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (Bitboard.exponent(board, x, y)) continue;
+      empty++;
+      if (Bitboard.canMove(Bitboard.withExponent(board, x, y, 1))) {
+        total += twoProbability;
+      }
+      if (Bitboard.canMove(Bitboard.withExponent(board, x, y, 2))) {
+        total += 1 - twoProbability;
+      }
+    }
+  }
+  return empty ? total / empty : 1;
+};
@@ -0,0 +1,161 @@
+/**
+ * Exact play for nearly full boards
+ * With one to three empty cells the game tree is small enough to search
+ * without a heuristic: every spawn, with the 2/4 odds of Grid.addRandomTile,
+ * and every reply. The solver deepens one spawn at a time and keeps the
+ * deepest horizon it finished within its node budget and deadline, so its
+ * values are exact for "the next `spawns` spawns". When every move loses
+ * within the horizon the position is solved outright and it stops early.
+ *
+ * Objectives, each with the other one breaking ties:
+ *   survival - chance of still having a move after the last spawn
+ *   merges   - expected number of merges before the game ends
+ */
+EndgameObjective = { SURVIVAL: 'survival', MERGES: 'merges' };
+
+function EndgameSolver(options) {
+  this.options = Object.assign({}, EndgameSolver.defaults, options);
+}
+
+EndgameSolver.defaults = {
+  objective: EndgameObjective.SURVIVAL,
+  minSpawns: 2,      // shallower solutions are left to the heuristic search
+  maxSpawns: 10,
+  nodeLimit: 300000  // spawned positions over all horizons
+};
+
+// Returns { direction, spawns, outcomes } for the deepest horizon solved,
+// outcomes[d] being { survival, merges } (null for illegal moves), or null
+// when not even minSpawns could be solved in time
+EndgameSolver.prototype.solve = function (board, deadline) {
+  var best = null;
+  this.nodes = 0;
+  this.deadline = deadline || Infinity;
+
+  for (var spawns = 1; spawns <= this.options.maxSpawns; spawns++) {
+    this.memo = new Map();
+    var outcomes = this.rootOutcomes(board, spawns);
+    if (!outcomes) break;
+
+    best = {
+      direction: this.pick(outcomes),
+      spawns: spawns,
+      outcomes: outcomes
+    };
+    if (best.direction === -1) break;
+    var alive = outcomes.some(function (outcome) {
+      return outcome && outcome.survival > 0;
+    });
+    if (!alive) break; // lost whatever happens: deeper horizons change nothing
+  }
+
+  this.memo = null;
+  if (!best || best.direction === -1) return null;
+  return best.spawns < this.options.minSpawns ? null : best;
+};
+
+EndgameSolver.prototype.rootOutcomes = function (board, spawns) {
+  var outcomes = [];
+  for (var d = 0; d < 4; d++) {
+    var result = Bitboard.move(board, d);
+    outcomes[d] = null;
+    if (!result.moved) continue;
+    var outcome = this.spawnOutcome(result.board, spawns);
+    if (!outcome) return null;
+    outcomes[d] = {
+      survival: outcome.survival,
+      merges: outcome.merges + this.merges(board, result.board)
+    };
+  }
+  return outcomes;
+};
+
+// Expected outcome over every spawn on `board`; null once out of budget
+EndgameSolver.prototype.spawnOutcome = function (board, spawns) {
+  var key = spawns + ':' + Bitboard.key(board);
+  if (this.memo.has(key)) return this.memo.get(key);
+
+  var size = board.length;
+  var empty = Bitboard.emptyCount(board);
+  var twoProbability = Grid.prototype.twoProbability;
+  var survival = 0, merges = 0;
+
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (Bitboard.exponent(board, x, y)) continue;
+      if (this.outOfBudget()) return null;
+
+      var two = this.reply(Bitboard.withExponent(board, x, y, 1), spawns - 1);
+      var four = this.reply(Bitboard.withExponent(board, x, y, 2), spawns - 1);
+      if (!two || !four) return null;
+      survival += twoProbability * two.survival +
+        (1 - twoProbability) * four.survival;
+      merges += twoProbability * two.merges +
+        (1 - twoProbability) * four.merges;
+    }
+  }
+
+  var outcome = empty ?
+    { survival: survival / empty, merges: merges / empty } :
+    { survival: 1, merges: 0 }; // nothing can spawn on a full board
+  this.memo.set(key, outcome);
+  return outcome;
+};
+
+// Best outcome for the player once a tile has spawned
+EndgameSolver.prototype.reply = function (board, spawns) {
+  if (!Bitboard.canMove(board)) return { survival: 0, merges: 0 };
+  if (spawns === 0) return { survival: 1, merges: 0 };
+
+  var best = null;
+  for (var d = 0; d < 4; d++) {
+    var result = Bitboard.move(board, d);
+    if (!result.moved) continue;
+    var outcome = this.spawnOutcome(result.board, spawns);
+    if (!outcome) return null;
+    outcome = {
+      survival: outcome.survival,
+      merges: outcome.merges + this.merges(board, result.board)
+    };
+    if (!best || this.better(outcome, best)) best = outcome;
+  }
+  return best;
+};
+
+// Every merge frees a cell
+EndgameSolver.prototype.merges = function (before, after) {
+  return Bitboard.emptyCount(after) - Bitboard.emptyCount(before);
+};
+
+EndgameSolver.prototype.better = function (a, b) {
+  var epsilon = 1e-12;
+  var first = this.options.objective === EndgameObjective.MERGES ?
+    'merges' : 'survival';
+  var second = first === 'merges' ? 'survival' : 'merges';
+  if (Math.abs(a[first] - b[first]) > epsilon) return a[first] > b[first];
+  return a[second] > b[second] + epsilon;
+};
+
+EndgameSolver.prototype.pick = function (outcomes) {
+  var direction = -1;
+  for (var d = 0; d < 4; d++) {
+    if (!outcomes[d]) continue;
+    if (direction === -1 || this.better(outcomes[d], outcomes[direction])) {
+      direction = d;
+    }
+  }
+  return direction;
+};
+
+// The clock is read every 256 nodes
+EndgameSolver.prototype.outOfBudget = function () {
+  this.nodes += 2;
+  if (this.nodes > this.options.nodeLimit) return true;
+  return (this.nodes & 255) === 0 && Date.now() > this.deadline;
+};
+
+// Value of an outcome under the objective, for SmartAI's move values
+EndgameSolver.prototype.value = function (outcome) {
+  return this.options.objective === EndgameObjective.MERGES ?
+    outcome.merges : outcome.survival;
+};
@@ -0,0 +1,74 @@
+/**
+ * Bounded undo/redo stacks of game snapshots
+ * Each entry holds the state from before one change together with the kind
+ * of change it was ("move", "spawn", "insert", "remove", "upgrade",
+ * "import", "recognize" or, while mirroring a game, "correction"), so a
+ * move and the tile spawned after it undo one at a time.
+ * Snapshots are plain objects from GameManager.snapshot.
+ */
+function GameHistory(limit) {
+  this.limit = limit || GameHistory.defaultLimit;
+  this.clear();
+}
+
+GameHistory.defaultLimit = 200;
+
+GameHistory.prototype.clear = function () {
+  this.undoStack = [];
+  this.redoStack = [];
+};
+
+// Called before a change is applied; any redo branch is dropped
+GameHistory.prototype.record = function (kind, snapshot) {
+  this.undoStack.push({ kind: kind, state: snapshot });
+  if (this.undoStack.length > this.limit) {
+    this.undoStack.shift();
+  }
+  this.redoStack = [];
+};
+
+GameHistory.prototype.canUndo = function () {
+  return this.undoStack.length > 0;
+};
+
+GameHistory.prototype.canRedo = function () {
+  return this.redoStack.length > 0;
+};
+
+// Plain copy of both stacks for the saved session
+GameHistory.prototype.serialize = function () {
+  return { undo: this.undoStack, redo: this.redoStack };
+};
+
+GameHistory.prototype.load = function (state) {
+  this.clear();
+  if (!state) return;
+  this.undoStack = (state.undo || []).slice(-this.limit);
+  this.redoStack = (state.redo || []).slice(-this.limit);
+};
+
+// Kind of change the next undo / redo would revert or replay, or null
+GameHistory.prototype.nextUndo = function () {
+  var entry = this.undoStack[this.undoStack.length - 1];
+  return entry ? entry.kind : null;
+};
+
+GameHistory.prototype.nextRedo = function () {
+  var entry = this.redoStack[this.redoStack.length - 1];
+  return entry ? entry.kind : null;
+};
+
+// Returns the entry to restore (or null) and keeps `current` for redo
+GameHistory.prototype.undo = function (current) {
+  var entry = this.undoStack.pop();
+  if (!entry) return null;
+  this.redoStack.push({ kind: entry.kind, state: current });
+  return entry;
+};
+
+GameHistory.prototype.redo = function (current) {
+  var entry = this.redoStack.pop();
+  if (!entry) return null;
+  this.undoStack.push({ kind: entry.kind, state: current });
+  return entry;
+};
@@ -1,67 +1,193 @@
-function GameManager(size, InputManager, Actuator) {
+function GameManager(size, InputManager, Actuator, StorageManager) {
   this.size         = size; // Size of the grid
   this.inputManager = new InputManager;
   this.actuator     = new Actuator;
+  this.storageManager = new StorageManager;
 
   this.running      = false;
   this.computerGenerateTile = false;
   this.editMode = false; // Initialize editMode as false
+  this.strategy     = AIRegistry.defaultName; // Which AI hints and auto-run use
+  // Rollout settings of the Monte Carlo strategy
+  this.monteCarlo   = Object.assign({}, MonteCarloAI.defaults);
+  this.searchMode   = SearchMode.MINIMAX;
+  // Endgame solver settings, as SmartAI.setEndgame takes them
+  this.endgame      = Object.assign({}, SmartAI.prototype.endgame);
+  this.layout       = BoardLayout.normalize(null); // Anchor corner to reward
+  this.explain      = false; // Show the evaluation breakdown with each hint
+  this.profile      = null;  // AIProfiles entry the search evaluates with
+  this.seed         = SeededRandom.randomSeed(); // Seed for spawned tiles
+  this.aiClient     = new AIClient();
+  this.history      = new GameHistory(); // Undo/redo for moves and board edits
+  this.recognizer   = new BoardRecognizer();
+  this.uncertainCells = []; // Screenshot cells the recognizer wasn't sure of
+  this.mirror       = false; // Mirroring a real game: the user enters spawns
+  this.awaitingSpawn = false; // Mirror mode: moved, spawn not marked yet
+  this.lastSpawn    = null;  // Mirror mode: spawn marked since the last move
+  this.pickerCell   = null;  // Cell the value picker is open for
+  this.cursor       = null;  // Keyboard edit cursor; null in play mode
+  this.cursorEditMode = false; // Edit mode was switched on by the cursor
+  this.moveLog      = [];    // Played moves and spawns, for the game review
+  this.moveCount    = 0;     // Entries of moveLog up to the current position
+  this.review       = new GameReview();
+  this.reviewing    = null;  // Review result whose position is on the board
+  this.saveTimer    = null;  // Pending saveSession write
 
-  this.inputManager.on("move", this.move.bind(this));
-  this.inputManager.on("restart", this.restart.bind(this));
-
-  this.inputManager.on('think', function() {
-    var best = this.ai.getBest();
-    if (best && best.move !== undefined) {
-      this.actuator.showHint(best.move);
-    } else {
-      console.error('Error: best.move is undefined');
+  this.inputManager.on("move", function(direction) {
+    if (this.leaveReviewPosition()) return;
+    if (this.cursor) {
+      this.moveCursor(direction);
+      return;
     }
-    // var best = this.ai.getBest();
-    // this.actuator.sh/owHint(best.move);
+    this.cancelSearch();
+    this.actuator.clearHint();
+    this.move(direction);
   }.bind(this));
+  this.inputManager.on("restart", this.restart.bind(this));
+
+  this.inputManager.on('think', this.think.bind(this));
 
-  this.inputManager.on('toggleEditMode', function() {
-    this.editMode = !this.editMode;
-    this.actuator.setEditMode(this.editMode);
-  }.bind(this))
+  this.inputManager.on('toggleEditMode', this.toggleEditMode.bind(this));
 
   this.inputManager.on('reset', this.reset.bind(this));
+  this.inputManager.on('importBoard', this.importBoard.bind(this));
+  this.inputManager.on('exportBoard', this.exportBoard.bind(this));
+  this.inputManager.on('screenshot', this.importScreenshot.bind(this));
+  this.inputManager.on('levelKey', function(key) {
+    var cell = this.cursor || key.hovered;
+    if (cell) this.setCellLevel(cell.x, cell.y, key.exponent);
+  }.bind(this));
+  this.inputManager.on('toggleCursor', function() {
+    if (this.cursor) {
+      this.leaveCursor();
+    } else {
+      this.enterCursor();
+    }
+  }.bind(this));
+  this.inputManager.on('leaveCursor', this.leaveCursor.bind(this));
+  this.inputManager.on('stepDown', function(cell) {
+    this.stepDown(cell.x, cell.y);
+  }.bind(this));
+  this.inputManager.on('pickValue', this.pickValue.bind(this));
+  this.inputManager.on('closePicker', this.closePicker.bind(this));
+  this.inputManager.on('undo', this.undo.bind(this));
+  this.inputManager.on('redo', this.redo.bind(this));
+  this.inputManager.on('pageHidden', this.flushSession.bind(this));
+  this.inputManager.on('resize', this.setSize.bind(this));
+  this.inputManager.on('strategy', this.setStrategy.bind(this));
+  this.inputManager.on('monteCarlo', this.setMonteCarlo.bind(this));
+  this.inputManager.on('searchMode', this.setSearchMode.bind(this));
+  this.inputManager.on('endgame', this.setEndgame.bind(this));
+  this.inputManager.on('layout', this.setLayout.bind(this));
+  this.inputManager.on('mirror', this.setMirror.bind(this));
+  this.inputManager.on('explain', function(enabled) {
+    this.explain = enabled;
+    this.saveSession();
+  }.bind(this));
+  this.inputManager.on('newBoard', this.newBoard.bind(this));
+  this.inputManager.on('review', this.reviewGame.bind(this));
+  this.inputManager.on('showReviewPosition',
+                       this.showReviewPosition.bind(this));
+  this.inputManager.on('leaveReviewPosition',
+                       this.leaveReviewPosition.bind(this));
+  this.inputManager.on('seed', this.setSeed.bind(this));
+  this.inputManager.on('newSeed', function() {
+    this.stopRunning();
+    this.seed = SeededRandom.randomSeed();
+    this.reset();
+  }.bind(this));
+  this.inputManager.on('recordBinding', function(name) {
+    this.actuator.showKeybindingStatus('Press a key for "' +
+      Keybindings.action(name).label + '" (Escape cancels)');
+  }.bind(this));
+  this.inputManager.on('cancelBinding', function() {
+    this.actuator.showKeybindingStatus('');
+  }.bind(this));
+  this.inputManager.on('rebind', function(binding) {
+    var bindings = JSON.parse(JSON.stringify(this.inputManager.bindings));
+    if (bindings[binding.action].indexOf(binding.combo) === -1) {
+      bindings[binding.action].push(binding.combo);
+    }
+    this.saveKeybindings(bindings);
+  }.bind(this));
+  this.inputManager.on('unbind', function(binding) {
+    var bindings = JSON.parse(JSON.stringify(this.inputManager.bindings));
+    bindings[binding.action] = bindings[binding.action].filter(function(combo) {
+      return combo !== binding.combo;
+    });
+    this.saveKeybindings(bindings);
+  }.bind(this));
+  this.inputManager.on('resetBindings', function() {
+    this.saveKeybindings(Keybindings.normalize(null));
+  }.bind(this));
+  this.inputManager.on('profile', this.setProfile.bind(this));
+  this.inputManager.on('saveProfile', this.saveProfile.bind(this));
+  this.inputManager.on('deleteProfile', this.deleteProfile.bind(this));
 
   this.inputManager.on('run', function() {
     if (this.running) {
-      this.running = false;
-      this.computerGenerateTile = false;
-      this.actuator.setRunButton('Auto-run');
+      this.stopRunning();
+    } else if (this.mirror) {
+      this.actuator.showMirrorStatus('Auto-run is off while mirroring a game');
     } else {
       this.running = true;
       this.computerGenerateTile = true;
+      // An empty board starts like the headless simulator: two spawned
+      // tiles, each undoable and logged like any other spawn
+      if (this.grid.availableCells().length === this.size * this.size) {
+        for (var i = 0; i < this.grid.startTiles; i++) {
+          this.history.record('spawn', this.snapshot());
+          this.logSpawn(this.grid.addRandomTile());
+        }
+        this.actuate();
+      }
       this.run()
       this.actuator.setRunButton('Stop');
     }
   }.bind(this));
 
+  var session = this.storageManager.getSession();
+
+  this.setProfile(AIProfiles.defaultName);
+  this.actuator.showStrategies(AIRegistry.all(), this.strategy);
+  this.actuator.showKeybindings(this.inputManager.bindings);
   this.setup();
+  if (session) this.restoreSession(session);
+
+  // A shared link opens straight to its position
+  var code = this.inputManager.hashBoardCode();
+  if (code) this.importBoard(code);
 }
 
 // Restart the game
 GameManager.prototype.restart = function () {
   this.actuator.restart();
-  this.running = false;
-  this.actuator.setRunButton('Auto-run');
+  this.stopRunning();
   this.setup();
 };
 
 // Set up the game
 GameManager.prototype.setup = function () {
-  this.grid         = new Grid(this.size);
+  this.actuator.buildGrid(this.size);
+  this.grid         = new Grid(this.size, null, new SeededRandom(this.seed));
+  this.actuator.showSeed(this.seed);
   // INFO: this is where the game starts & the grid is created with 2 random tiles
   // we disable this to allow for custom grids
   // this.grid.addStartTiles();
 
   // this.ai           = new AI(this.grid);
-  // using SmartAI instead of basic AI
-  this.ai           = new SmartAI(this.grid);
+  // using SmartAI instead of basic AI, searched in a worker through aiClient
+  this.aiClient.reset();
+  this.history.clear();
+  this.uncertainCells = [];
+  this.awaitingSpawn = false;
+  this.lastSpawn = null;
+  this.moveLog = [];
+  this.moveCount = 0;
+  this.review.cancel();
+  this.reviewing = null;
+  this.actuator.showReview([]);
+  this.keepCursorOnBoard();
 
   this.score        = 0;
   this.over         = false;
@@ -74,29 +200,34 @@ GameManager.prototype.setup = function () {
 
 // New method to handle cell clicks
 GameManager.prototype.handleCellClick = function (x, y) {
+  if (this.leaveReviewPosition()) return;
 
+  // Edit mode picks any value for the cell
   if (this.editMode) {
-    if (this.grid.cellOccupied({ x: x, y: y })) {
-      this.grid.removeTile({ x: x, y: y });
-    } else {
-      const value = 2;
-      const tile = new Tile({ x: x, y: y }, value);
-      this.grid.insertTile(tile);
-    }
-  } else {
-    if (this.grid.cellOccupied({ x: x, y: y })) {
-      const tile = this.grid.cellContent({ x: x, y: y });
-      if (tile.value < 2048) {
-        tile.value *= 2;
-        // Instead of addClass, we'll handle this in the HTMLActuator
-        tile.isNew = true;
-      }
-    } else {
-      const value = 2;
-      const tile = new Tile({ x: x, y: y }, value);
-      this.grid.insertTile(tile);
+    this.openPicker(x, y);
+    return;
+  }
+
+  // The position is about to change, so any running search is stale
+  this.cancelSearch();
+  this.clearUncertain(x, y);
+
+  if (this.mirror && this.markSpawn(x, y)) return;
+
+  if (this.grid.cellOccupied({ x: x, y: y })) {
+    const tile = this.grid.cellContent({ x: x, y: y });
+    if (tile.value < 2048) {
+      this.history.record(this.editKind('upgrade'), this.snapshot());
+      tile.value *= 2;
+      // Instead of addClass, we'll handle this in the HTMLActuator
       tile.isNew = true;
     }
+  } else {
+    this.history.record(this.editKind('insert'), this.snapshot());
+    const value = 2;
+    const tile = new Tile({ x: x, y: y }, value);
+    this.grid.insertTile(tile);
+    tile.isNew = true;
   }
 
   this.actuate();
@@ -109,25 +240,173 @@ GameManager.prototype.handleCellClick = function (x, y) {
   // }
 };
 
+// Sets a cell to tile 2^exponent, or clears it for 0. While mirror mode
+// waits for a spawn, a 2 or 4 on an empty cell counts as the spawn.
+GameManager.prototype.setCellLevel = function (x, y, exponent, kind) {
+  var position = { x: x, y: y };
+  if (this.leaveReviewPosition()) return;
+  if (!this.grid.withinBounds(position)) return;
+  if (exponent < 0 || exponent > Grid.maxExponent) return;
+
+  this.clearUncertain(x, y); // even when the value is confirmed unchanged
+  var tile = this.grid.cellContent(position);
+  if ((tile ? Math.log2(tile.value) : 0) === exponent) return;
+
+  this.cancelSearch();
+
+  var spawn = this.awaitingSpawn && !tile && (exponent === 1 || exponent === 2);
+  this.history.record(spawn ? 'spawn' : this.editKind(kind || 'set'),
+                      this.snapshot());
+
+  if (exponent) {
+    tile = new Tile(position, Math.pow(2, exponent));
+    tile.isNew = true;
+    this.grid.insertTile(tile);
+  } else {
+    this.grid.removeTile(position);
+  }
+
+  if (spawn) {
+    this.awaitingSpawn = false;
+    this.lastSpawn = position;
+    this.logSpawn(tile);
+  }
+  this.actuate();
+  if (spawn) this.think();
+};
+
+// Right-click and long-press: halve a tile, a 2 disappears
+GameManager.prototype.stepDown = function (x, y) {
+  var tile = this.grid.cellContent({ x: x, y: y });
+  if (tile) this.setCellLevel(x, y, Math.log2(tile.value) - 1, 'downgrade');
+};
+
+GameManager.prototype.openPicker = function (x, y) {
+  var tile = this.grid.cellContent({ x: x, y: y });
+  this.pickerCell = { x: x, y: y };
+  this.actuator.showValuePicker(this.pickerCell,
+                                tile ? Math.log2(tile.value) : 0);
+};
+
+GameManager.prototype.pickValue = function (exponent) {
+  var cell = this.pickerCell;
+  this.closePicker();
+  if (cell) this.setCellLevel(cell.x, cell.y, exponent);
+};
+
+GameManager.prototype.closePicker = function () {
+  this.pickerCell = null;
+  this.actuator.hideValuePicker();
+};
+
+// A screenshot cell counts as checked once it has been touched
+GameManager.prototype.clearUncertain = function (x, y) {
+  var count = this.uncertainCells.length;
+  this.uncertainCells = this.uncertainCells.filter(function (cell) {
+    return cell.x !== x || cell.y !== y;
+  });
+  if (this.uncertainCells.length !== count) {
+    this.actuator.showUncertainCells(this.uncertainCells);
+  }
+};
+
+// While mirroring, edits that aren't the game's spawn are corrections, kept
+// apart from spawns in the history
+GameManager.prototype.editKind = function (kind) {
+  return this.mirror ? 'correction' : kind;
+};
+
+// Mirror mode: after a move the next click on an empty cell is the spawn, as
+// a 2; clicking it again switches it between 2 and 4. Returns false for
+// clicks that are ordinary edits.
+GameManager.prototype.markSpawn = function (x, y) {
+  var position = { x: x, y: y };
+  var tile = this.grid.cellContent(position);
+
+  if (this.awaitingSpawn) {
+    if (tile) {
+      this.actuator.showMirrorStatus('The spawned tile goes on an empty cell');
+      return true;
+    }
+    this.history.record('spawn', this.snapshot());
+    tile = new Tile(position, 2);
+    this.grid.insertTile(tile);
+    this.awaitingSpawn = false;
+    this.lastSpawn = position;
+    this.logSpawn(tile);
+  } else if (this.lastSpawn && tile &&
+             this.lastSpawn.x === x && this.lastSpawn.y === y &&
+             (tile.value === 2 || tile.value === 4)) {
+    this.history.record('spawn', this.snapshot());
+    tile.value = 6 - tile.value;
+    this.moveCount--; // the spawn logged for this cell was the wrong value
+    this.logSpawn(tile);
+  } else {
+    return false;
+  }
+
+  tile.isNew = true;
+  this.actuate();
+  this.think();
+  return true;
+};
+
+GameManager.prototype.setMirror = function (enabled) {
+  this.stopRunning();
+  this.mirror = enabled;
+  this.awaitingSpawn = false;
+  this.lastSpawn = null;
+  this.actuate();
+};
 
 // Sends the updated grid to the actuator
 GameManager.prototype.actuate = function () {
+  this.reviewing = null; // the game's own board replaces a reviewed position
+  this.actuator.showReviewPosition(null);
   this.actuator.actuate(this.grid, {
     score: this.score,
     over:  this.over,
     won:   this.won,
+    editMode: this.editMode,
   });
+  this.actuator.showUncertainCells(this.uncertainCells);
+  this.actuator.showCursor(this.cursor);
+  this.actuator.updateHistoryButtons(this.history.nextUndo(),
+                                     this.history.nextRedo());
+  this.actuator.showMirrorStatus(this.mirror ? (this.awaitingSpawn ?
+    'Click the cell where the game spawned a tile' :
+    'Make the move you played in the game') : '');
+  this.actuator.setAwaitingSpawn(this.awaitingSpawn);
+  this.saveSession();
 };
 
 // Update the move method to ensure new tiles are considered
 // Update the move function to log each move
 GameManager.prototype.move = function(direction) {
-
+  if (this.awaitingSpawn) {
+    this.actuator.showMirrorStatus('Mark the tile the game spawned first');
+    return;
+  }
+  var before = this.snapshot();
   var result = this.grid.move(direction);
+  if (!result.moved) return; // nothing to record, and no spawn either
+  this.history.record('move', before);
+  this.logEntry({
+    type: 'move',
+    code: new Grid(before.grid.size, before.grid.cells).toCode(before.score),
+    direction: direction
+  });
+  this.uncertainCells = [];
   this.score += result.score;
 
+  if (this.mirror) {
+    this.awaitingSpawn = true;
+    this.lastSpawn = null;
+  }
+
   if(this.computerGenerateTile) {
-    this.grid.computerMove();
+    this.history.record('spawn', this.snapshot());
+    this.logSpawn(this.grid.computerMove());
   } else {
     this.grid.skipComputerMove(); // <-- this function gonna skip any ComputerMove !
   }
@@ -147,26 +426,543 @@ GameManager.prototype.move = function(direction) {
   // }
 };
 
+// Appends to the move log; after an undo the undone entries are replaced
+GameManager.prototype.logEntry = function (entry) {
+  this.moveLog.length = this.moveCount;
+  this.moveLog.push(entry);
+  this.moveCount++;
+};
+
+GameManager.prototype.logSpawn = function (tile) {
+  if (!tile) return;
+  this.logEntry({ type: 'spawn', x: tile.x, y: tile.y, value: tile.value });
+};
+
+// Asks the AI for a hint without blocking the page
+GameManager.prototype.think = function() {
+  if (this.leaveReviewPosition()) return;
+  if (this.running) return; // auto-run is already asking for every move
+  if (this.awaitingSpawn) return; // the position isn't complete yet
+  var self = this;
+  this.actuator.showThinking(0);
+  var options = Object.assign(this.searchOptions(hintSearchTime), {
+    explain: this.explain,
+    danger: true
+  });
+  this.aiClient.search(this.grid, options, function(best) {
+    if (best && best.move !== undefined && best.move !== -1) {
+      self.actuator.showHint(best);
+    } else {
+      self.actuator.clearHint();
+      console.error('Error: best.move is undefined');
+    }
+  }, function(progress) {
+    self.actuator.showThinking(progress.depth);
+  });
+};
+
+// What the AI is asked to search with; each strategy reads its own options
+GameManager.prototype.searchOptions = function(timeLimit) {
+  return {
+    timeLimit: timeLimit,
+    strategy: this.strategy,
+    monteCarlo: this.monteCarlo,
+    searchMode: this.searchMode,
+    endgame: this.endgame,
+    layout: this.layout,
+    profile: this.profile
+  };
+};
+
 // moves continuously until game is over
 GameManager.prototype.run = function() {
-  var best = this.ai.getBest();
-  this.move(best.move);
-  var timeout = animationDelay;
-  if (this.running && !this.over && !this.won) {
-    var self = this;
-    setTimeout(function(){
-      self.run();
-    }, timeout);
-  }
+  var self = this;
+  var options = this.searchOptions(minSearchTime);
+  this.aiClient.search(this.grid, options, function(best) {
+    if (!self.running) return;
+    if (best.move === -1) {
+      self.stopRunning();
+      return;
+    }
+    self.move(best.move);
+    if (self.running && !self.over && !self.won) {
+      setTimeout(function(){
+        if (self.running) self.run();
+      }, animationDelay);
+    } else {
+      self.stopRunning();
+    }
+  });
 }
 
+GameManager.prototype.stopRunning = function () {
+  this.running = false;
+  this.computerGenerateTile = false;
+  this.actuator.setRunButton('Auto-run');
+};
+
+// Drops the search in flight (its result would be for an outdated board);
+// auto-run can't continue without it, so it stops too
+GameManager.prototype.cancelSearch = function () {
+  if (!this.aiClient.isSearching()) return;
+  this.aiClient.cancel();
+  this.actuator.clearHint();
+  if (this.running) this.stopRunning();
+};
+
+// Everything undo has to put back: tiles, the spawn generator and the
+// game status
+GameManager.prototype.snapshot = function () {
+  return {
+    grid: this.grid.serialize(),
+    random: this.grid.random.serialize(),
+    score: this.score,
+    over: this.over,
+    won: this.won,
+    awaitingSpawn: this.awaitingSpawn,
+    lastSpawn: this.lastSpawn,
+    moves: this.moveCount
+  };
+};
+
+GameManager.prototype.restore = function (state) {
+  // An imported board may have changed the size since the snapshot
+  this.size = state.grid.size;
+  this.actuator.buildGrid(this.size);
+  this.actuator.showSize(this.size);
+  this.grid = new Grid(state.grid.size, state.grid.cells,
+                       SeededRandom.fromState(state.random));
+  this.keepCursorOnBoard();
+  this.score = state.score;
+  this.over = state.over;
+  this.won = state.won;
+  this.awaitingSpawn = !!state.awaitingSpawn;
+  this.lastSpawn = state.lastSpawn || null;
+  this.moveCount = Math.min(state.moves || 0, this.moveLog.length);
+  this.uncertainCells = [];
+};
+
+GameManager.prototype.undo = function () {
+  this.travel(this.history.undo.bind(this.history));
+};
+
+GameManager.prototype.redo = function () {
+  this.travel(this.history.redo.bind(this.history));
+};
+
+// Auto-run would immediately play on from the restored position, so it stops
+GameManager.prototype.travel = function (step) {
+  var entry = step(this.snapshot());
+  if (!entry) return;
+  this.cancelSearch();
+  this.stopRunning();
+  this.actuator.clearHint();
+  this.restore(entry.state);
+  this.actuate();
+};
+
 GameManager.prototype.toggleEditMode = function () {
-  console.log("Toggling edit mode emiting");
   this.editMode = !this.editMode;
   this.actuator.setEditMode(this.editMode);
+  this.saveSession();
+  if (!this.editMode) {
+    this.closePicker();
+    // The cursor edits the board, so leaving edit mode ends it too
+    this.cursorEditMode = false;
+    this.leaveCursor();
+  }
+};
+
+// Keyboard editing: arrows move the cursor instead of the tiles. Edit mode
+// comes on with it, and goes off again with it unless it was on already.
+GameManager.prototype.enterCursor = function () {
+  if (this.cursor) return;
+  this.cursor = { x: 0, y: 0 };
+  if (!this.editMode) {
+    this.toggleEditMode();
+    this.cursorEditMode = true;
+  }
+  this.actuator.showCursor(this.cursor);
+};
+
+GameManager.prototype.leaveCursor = function () {
+  if (!this.cursor) return;
+  this.cursor = null;
+  if (this.cursorEditMode) {
+    this.cursorEditMode = false;
+    this.toggleEditMode();
+  }
+  this.actuator.showCursor(null);
+};
+
+GameManager.prototype.moveCursor = function (direction) {
+  var vector = this.grid.getVector(direction);
+  var next = { x: this.cursor.x + vector.x, y: this.cursor.y + vector.y };
+  if (!this.grid.withinBounds(next)) return;
+  this.cursor = next;
+  this.actuator.showCursor(this.cursor);
+};
+
+// After a size change the cursor may point past the board
+GameManager.prototype.keepCursorOnBoard = function () {
+  if (this.cursor && !this.grid.withinBounds(this.cursor)) {
+    this.cursor = { x: 0, y: 0 };
+  }
 };
 
 GameManager.prototype.reset = function () {
   this.setup();
   this.actuate();
+};
+
+// Switches the AI behind hints and auto-run; a search in flight was asked
+// of the old one, so it is dropped
+GameManager.prototype.setStrategy = function (name) {
+  this.cancelSearch();
+  this.strategy = AIRegistry.get(name).name;
+  this.actuator.showStrategies(AIRegistry.all(), this.strategy);
+  this.saveSession();
+};
+
+// settings: { rollouts, depth, guided }. Counts are kept between 1 and a
+// cap: the first round of rollouts ignores the time budget.
+GameManager.prototype.setMonteCarlo = function (settings) {
+  var count = function (value, fallback, max) {
+    value = Math.floor(value);
+    return isNaN(value) ? fallback : Math.max(1, Math.min(max, value));
+  };
+  this.monteCarlo = {
+    rollouts: count(settings.rollouts, MonteCarloAI.defaults.rollouts, 10000),
+    depth: count(settings.depth, MonteCarloAI.defaults.depth, 1000),
+    guided: !!settings.guided
+  };
+  this.saveSession();
+};
+
+// Picks the search the AI uses for hints and auto-run
+GameManager.prototype.setSearchMode = function (mode) {
+  this.searchMode = mode;
+  this.saveSession();
+};
+
+// endgame: { threshold, objective }; a threshold of 0 leaves every position
+// to the heuristic search. A threshold that isn't a number (an emptied input)
+// keeps the previous one, or the default when the solver was off.
+GameManager.prototype.setEndgame = function (endgame) {
+  var threshold = Math.floor(endgame.threshold);
+  if (isNaN(threshold)) {
+    threshold = this.endgame.threshold || SmartAI.prototype.endgame.threshold;
+  }
+  this.endgame = {
+    threshold: threshold > 0 ? threshold : 0,
+    objective: endgame.objective === EndgameObjective.MERGES ?
+      EndgameObjective.MERGES : EndgameObjective.SURVIVAL
+  };
+  this.actuator.showSettings(this);
+  this.saveSession();
+};
+
+// layout: { corner, order } (see BoardLayout); a null corner drops the
+// preference
+GameManager.prototype.setLayout = function (layout) {
+  this.layout = BoardLayout.normalize(layout);
+  this.saveSession();
+};
+
+// Spawns follow the new seed from here on; Reset replays from the start
+GameManager.prototype.setSeed = function (text) {
+  this.seed = SeededRandom.parseSeed(text);
+  this.grid.setRandom(new SeededRandom(this.seed));
+  this.actuator.showSeed(this.seed);
+  this.saveSession();
+};
+
+GameManager.prototype.setProfile = function (name) {
+  this.profile = AIProfiles.get(name);
+  this.actuator.showProfiles(AIProfiles.all(), this.profile);
+  this.saveSession();
+};
+
+GameManager.prototype.saveProfile = function (profile) {
+  try {
+    profile = AIProfiles.saveCustom(profile);
+  } catch (e) {
+    this.actuator.showProfileStatus(e.message);
+    return;
+  }
+  this.setProfile(profile.name);
+  this.actuator.showProfileStatus('Saved "' + profile.name + '"');
+};
+
+GameManager.prototype.deleteProfile = function (name) {
+  if (AIProfiles.isBuiltIn(name)) {
+    this.actuator.showProfileStatus('Built-in profiles can\'t be deleted');
+    return;
+  }
+  AIProfiles.removeCustom(name);
+  this.setProfile(AIProfiles.defaultName);
+  this.actuator.showProfileStatus('Deleted "' + name + '"');
+};
+
+// Replaces the board with a Grid.toCode position; a bad code leaves the
+// board alone and shows why. Import can be undone like any other edit.
+GameManager.prototype.importBoard = function (code) {
+  var imported;
+  try {
+    imported = Grid.fromCode(code, this.grid.random);
+  } catch (e) {
+    this.actuator.showBoardCodeStatus(e.message);
+    return;
+  }
+
+  this.cancelSearch();
+  this.stopRunning();
+  this.actuator.clearHint();
+  this.history.record('import', this.snapshot());
+
+  this.size = imported.grid.size;
+  this.actuator.buildGrid(this.size);
+  this.actuator.showSize(this.size);
+  this.grid = imported.grid;
+  this.keepCursorOnBoard();
+  this.uncertainCells = [];
+  this.score = imported.score;
+  this.over = !this.grid.movesAvailable();
+  this.won = false;
+  this.actuate();
+  this.actuator.showBoardCode(this.grid.toCode(this.score), 'Imported');
+};
+
+// Reads the board from a screenshot of the game at the current board size.
+// Cells the recognizer is unsure of stay highlighted, in edit mode, until
+// they are clicked.
+GameManager.prototype.importScreenshot = function (file) {
+  var self = this;
+  this.actuator.showBoardCodeStatus('Reading screenshot...');
+
+  this.recognizer.recognize(file, this.size, function (error, result) {
+    if (error) {
+      self.actuator.showBoardCodeStatus(error.message);
+      return;
+    }
+
+    self.cancelSearch();
+    self.stopRunning();
+    self.actuator.clearHint();
+    self.history.record('recognize', self.snapshot());
+
+    var grid = new Grid(result.size, null, self.grid.random);
+    result.cells.forEach(function (column, x) {
+      column.forEach(function (cell, y) {
+        if (cell.exponent) {
+          grid.insertTile(new Tile({ x: x, y: y }, Math.pow(2, cell.exponent)));
+        }
+      });
+    });
+    self.grid = grid;
+    self.over = !grid.movesAvailable();
+    self.won = false;
+
+    self.uncertainCells = result.uncertain;
+    if (result.uncertain.length && !self.editMode) {
+      self.toggleEditMode();
+    }
+    self.actuate();
+    var count = result.uncertain.length;
+    self.actuator.showBoardCodeStatus(count ?
+      'Check the ' + count + ' highlighted cell' + (count === 1 ? '' : 's') :
+      'Board recognized');
+  });
+};
+
+GameManager.prototype.exportBoard = function () {
+  this.actuator.showBoardCode(this.grid.toCode(this.score), 'Exported');
+};
+
+// Conflicting bindings are refused and the panel keeps the saved ones
+GameManager.prototype.saveKeybindings = function (bindings) {
+  try {
+    bindings = Keybindings.save(bindings);
+  } catch (e) {
+    this.actuator.showKeybindingStatus(e.message);
+    return;
+  }
+  this.inputManager.setBindings(bindings);
+  this.actuator.showKeybindings(bindings);
+  this.actuator.showKeybindingStatus('Saved');
+};
+
+// Caps on what a saved session keeps. The game in the page keeps
+// everything; after a reload undo and the review reach back less far.
+GameManager.savedHistory = 50;       // undo and redo steps each
+GameManager.savedLogEntries = 2000;  // moveLog entries, the newest ones
+
+// Everything a reload should bring back, for the storage manager
+GameManager.prototype.sessionState = function () {
+  // Snapshots count log entries from the start, so they shift with the
+  // entries left out
+  var dropped = Math.max(0, this.moveLog.length - GameManager.savedLogEntries);
+  var shift = function (snapshot) {
+    var moves = Math.max(0, (snapshot.moves || 0) - dropped);
+    return Object.assign({}, snapshot, { moves: moves });
+  };
+  var shiftEntry = function (entry) {
+    return { kind: entry.kind, state: shift(entry.state) };
+  };
+  var history = this.history.serialize();
+
+  return {
+    game: shift(this.snapshot()),
+    history: {
+      undo: history.undo.slice(-GameManager.savedHistory).map(shiftEntry),
+      redo: history.redo.slice(-GameManager.savedHistory).map(shiftEntry)
+    },
+    moveLog: this.moveLog.slice(dropped),
+    settings: {
+      seed: this.seed,
+      strategy: this.strategy,
+      monteCarlo: this.monteCarlo,
+      searchMode: this.searchMode,
+      endgame: this.endgame,
+      layout: this.layout,
+      explain: this.explain,
+      mirror: this.mirror,
+      editMode: this.editMode,
+      profile: this.profile.name
+    }
+  };
+};
+
+// Called after every change. Writes are batched: auto-run changes the board
+// several times a second and each write serializes the whole session.
+GameManager.sessionSaveDelay = 1000; // ms
+
+GameManager.prototype.saveSession = function () {
+  if (this.saveTimer) return;
+  this.saveTimer = setTimeout(this.flushSession.bind(this),
+                              GameManager.sessionSaveDelay);
+};
+
+// Writes a pending save now, e.g. when the page is being hidden or closed;
+// nothing to save until the board exists
+GameManager.prototype.flushSession = function () {
+  if (!this.saveTimer) return;
+  clearTimeout(this.saveTimer);
+  this.saveTimer = null;
+  if (this.grid) this.storageManager.setSession(this.sessionState());
+};
+
+GameManager.prototype.restoreSession = function (session) {
+  var settings = session.settings || {};
+  try {
+    this.seed = settings.seed >>> 0;
+    this.actuator.showSeed(this.seed);
+    this.searchMode = settings.searchMode === SearchMode.EXPECTIMAX ?
+      SearchMode.EXPECTIMAX : SearchMode.MINIMAX;
+    if (settings.endgame) this.setEndgame(settings.endgame);
+    if (settings.layout) this.setLayout(settings.layout);
+    if (settings.monteCarlo) this.setMonteCarlo(settings.monteCarlo);
+    this.setStrategy(settings.strategy);
+    this.explain = !!settings.explain;
+    this.mirror = !!settings.mirror;
+    if (settings.profile) this.setProfile(settings.profile);
+    this.actuator.showSettings(this);
+
+    this.moveLog = session.moveLog || [];
+    this.restore(session.game);
+    this.history.load(session.history);
+    if (Boolean(settings.editMode) !== this.editMode) this.toggleEditMode();
+  } catch (e) {
+    console.warn('Could not restore the saved session:', e.message);
+    this.setup();
+    return;
+  }
+  this.actuate();
+};
+
+// Starts over on an empty board with a new seed and forgets the saved
+// session, history included; settings stay as they are
+GameManager.prototype.newBoard = function () {
+  this.stopRunning();
+  this.cancelSearch();
+  this.leaveCursor();
+  this.closePicker();
+  this.actuator.clearHint();
+  this.storageManager.clearSession();
+  this.seed = SeededRandom.randomSeed();
+  this.setup();
+};
+
+// Searches every played position again and lists the worst decisions;
+// pressed while a review runs, it stops it
+GameManager.prototype.reviewGame = function () {
+  if (this.review.running) {
+    this.review.cancel();
+    this.actuator.showReviewStatus('Review stopped', false);
+    return;
+  }
+
+  var log = this.moveLog.slice(0, this.moveCount);
+  if (!GameReview.positions(log).length) {
+    this.actuator.showReviewStatus('Play some moves first', false);
+    return;
+  }
+
+  var self = this;
+  this.leaveReviewPosition();
+  this.actuator.showReview([]);
+  var options = this.searchOptions(reviewSearchTime);
+  this.review.start(log, options, function (done, total) {
+    self.actuator.showReviewStatus(
+      'Reviewed ' + done + ' of ' + total + ' moves', true);
+  }, function (results) {
+    var worst = GameReview.worst(results);
+    self.actuator.showReview(worst);
+    self.actuator.showReviewStatus(worst.length ?
+      'Worst decisions, costliest first' :
+      'Every move matched the AI', false);
+  });
+};
+
+// Puts a reviewed position on the board without touching the game; the
+// next move, click or "Back to game" brings the game back
+GameManager.prototype.showReviewPosition = function (index) {
+  var result = this.review.result(index);
+  if (!result) return;
+
+  this.cancelSearch();
+  this.stopRunning();
+  this.closePicker();
+  this.actuator.clearHint();
+
+  var position = Grid.fromCode(result.code);
+  if (position.grid.size !== this.size) {
+    this.actuator.buildGrid(position.grid.size);
+  }
+  this.actuator.actuate(position.grid, {
+    score: position.score,
+    over: false,
+    won: false,
+    editMode: this.editMode
+  });
+  this.reviewing = result;
+  this.actuator.showReviewPosition(result);
+};
+
+// Returns whether a reviewed position was on the board
+GameManager.prototype.leaveReviewPosition = function () {
+  if (!this.reviewing) return false;
+  if (Grid.fromCode(this.reviewing.code).grid.size !== this.size) {
+    this.actuator.buildGrid(this.size);
+  }
+  this.actuate();
+  return true;
+};
+
+// Switches the board size and starts over on an empty board
+GameManager.prototype.setSize = function (size) {
+  if (size === this.size) return;
+  this.stopRunning();
+  this.size = size;
+  this.reset();
 };
\ No newline at end of file
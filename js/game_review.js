@@ -0,0 +1,110 @@
+/**
+ * Post-game review: searches every position of the move log again and
+ * compares the move that was played with the AI's choice. The evaluation
+ * loss of a move is how far its search value falls short of the best move's
+ * in that same search, so it reads like the hint's move ranking.
+ * Searches go through an AIClient of their own, one position at a time, so
+ * the page stays responsive and hints keep working during a review.
+ */
+function GameReview(aiClient) {
+  this.aiClient = aiClient || new AIClient();
+  this.results  = [];
+  this.running  = false;
+}
+
+// Decisions listed after a review
+GameReview.worstCount = 10;
+
+// Move entries of a GameManager move log, numbered from 1
+GameReview.positions = function (log) {
+  var positions = [];
+  log.forEach(function (entry, index) {
+    if (entry.type !== 'move') return;
+    positions.push({
+      index: index,
+      number: positions.length + 1,
+      code: entry.code,
+      played: entry.direction
+    });
+  });
+  return positions;
+};
+
+// Review entry for one position, or null when the search has nothing to say
+// about the played move (no values, e.g. a lost board)
+GameReview.compare = function (position, best) {
+  var played = (best.moves || [])[position.played];
+  if (!played || !played.legal || played.score === null) return null;
+
+  var top = played.score;
+  best.moves.forEach(function (move) {
+    if (move.legal && move.score !== null) top = Math.max(top, move.score);
+  });
+
+  return {
+    index: position.index,
+    number: position.number,
+    code: position.code,
+    played: position.played,
+    best: best.move,
+    loss: top - played.score,
+    depth: best.depth,
+    solved: best.solved || null
+  };
+};
+
+// The costliest decisions first; moves that matched the AI are left out.
+// Losses in solved endgames are chances or merges rather than evaluation
+// points, so they can't be compared with the rest; being exact, they come
+// first.
+GameReview.worst = function (results, count) {
+  return results.filter(function (result) {
+    return result.loss > 1e-9;
+  }).sort(function (a, b) {
+    return (!!b.solved - !!a.solved) || b.loss - a.loss;
+  }).slice(0, count || GameReview.worstCount);
+};
+
+// options: aiClient.search options (timeLimit, searchMode, profile).
+// onProgress(done, total) fires after every position, onDone(results) once
+// all of them are searched; neither fires after cancel().
+GameReview.prototype.start = function (log, options, onProgress, onDone) {
+  this.cancel();
+  this.results = [];
+  this.running = true;
+
+  var self = this;
+  var positions = GameReview.positions(log);
+  var next = 0;
+
+  var searchNext = function () {
+    if (next === positions.length) {
+      self.running = false;
+      onDone(self.results);
+      return;
+    }
+
+    var position = positions[next];
+    var grid = Grid.fromCode(position.code).grid;
+    self.aiClient.search(grid, options, function (best) {
+      var result = GameReview.compare(position, best);
+      if (result) self.results.push(result);
+      next++;
+      onProgress(next, positions.length);
+      searchNext();
+    });
+  };
+  searchNext();
+};
+
+GameReview.prototype.cancel = function () {
+  if (!this.running) return;
+  this.running = false;
+  this.aiClient.cancel();
+};
+
+GameReview.prototype.result = function (index) {
+  return this.results.filter(function (result) {
+    return result.index === index;
+  })[0] || null;
+};
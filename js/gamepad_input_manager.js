@@ -0,0 +1,244 @@
+/**
+ * Gamepad input through the Gamepad API
+ * Emits the same events as the keyboard, through the keyboard input
+ * manager's emit, so GameManager can't tell the two apart. The D-pad and the
+ * left stick move (a held direction repeats); the other actions sit on
+ * buttons that can be reassigned from the "Gamepad" panel. Buttons use the
+ * browser's "standard" layout numbering: 0 A, 1 B, 2 X, 3 Y, 9 Start.
+ * The panel is drawn by the actuator (showGamepadButtons, showGamepadStatus).
+ */
+function GamepadInputManager(target, actuator, options) {
+  this.target   = target; // anything with emit(event, data)
+  this.actuator = actuator;
+  this.options  = Object.assign({}, GamepadInputManager.defaults, options);
+  this.buttons  = GamepadInputManager.loadButtons();
+  this.pads     = {};    // per gamepad index: held direction and buttons
+  this.recording = null; // action waiting for a button in the panel
+  this.polling  = false;
+
+  this.listen();
+}
+
+GamepadInputManager.storageKey = "gala-helper.gamepad";
+
+GamepadInputManager.defaults = {
+  deadzone: 0.5,       // stick deflection below this is ignored
+  repeatDelay: 400,    // ms a direction is held before it repeats
+  repeatInterval: 180  // ms between repeated moves
+};
+
+GamepadInputManager.actions = [
+  { name: "think", label: "Hint" },
+  { name: "run",   label: "Auto-run" },
+  { name: "reset", label: "Reset board" },
+  { name: "undo",  label: "Undo" }
+];
+
+GamepadInputManager.defaultButtons = { think: 0, undo: 1, run: 3, reset: 9 };
+
+// Standard layout D-pad buttons -> move directions
+GamepadInputManager.dpad = { 12: 0, 15: 1, 13: 2, 14: 3 };
+
+GamepadInputManager.loadButtons = function () {
+  var buttons = Object.assign({}, GamepadInputManager.defaultButtons);
+  try {
+    var saved = JSON.parse(
+      window.localStorage.getItem(GamepadInputManager.storageKey));
+    for (var name in buttons) {
+      if (saved && (typeof saved[name] === "number" || saved[name] === null)) {
+        buttons[name] = saved[name];
+      }
+    }
+  } catch (e) {
+    // unavailable storage or unreadable settings: keep the defaults
+  }
+  return buttons;
+};
+
+GamepadInputManager.prototype.saveButtons = function () {
+  try {
+    window.localStorage.setItem(GamepadInputManager.storageKey,
+                                JSON.stringify(this.buttons));
+  } catch (e) {
+    console.warn("Could not save gamepad buttons:", e.message);
+  }
+};
+
+GamepadInputManager.prototype.listen = function () {
+  var self = this;
+  this.render();
+  if (!navigator.getGamepads) {
+    this.showStatus("This browser doesn't support gamepads");
+    return;
+  }
+
+  window.addEventListener("gamepadconnected", function () {
+    self.showStatus("Gamepad connected");
+    self.startPolling();
+  });
+
+  window.addEventListener("gamepaddisconnected", function (event) {
+    delete self.pads[event.gamepad.index];
+    self.showStatus("Gamepad disconnected");
+  });
+
+  var list = document.querySelector(".gamepad-list");
+  list.addEventListener("click", function (event) {
+    var button = event.target.closest("button");
+    if (!button) return;
+    event.preventDefault();
+    var action = button.getAttribute("data-action");
+    if (self.recording === action) {
+      self.cancelRecording(); // second click on the same button
+      return;
+    }
+    self.recording = action;
+    self.render();
+    self.showStatus("Press a gamepad button for \"" + self.actionLabel(action) +
+                    "\" (Escape or click again cancels)");
+    self.startPolling();
+  });
+
+  // Capture phase, so the keyboard manager doesn't act on this Escape too
+  document.addEventListener("keydown", function (event) {
+    if (!self.recording || event.key !== "Escape") return;
+    event.preventDefault();
+    event.stopPropagation();
+    self.cancelRecording();
+  }, true);
+
+  var gamepadDefaults = document.querySelector(".gamepad-defaults");
+
+  gamepadDefaults.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.recording = null;
+    self.buttons = Object.assign({}, GamepadInputManager.defaultButtons);
+    self.saveButtons();
+    self.render();
+    self.showStatus("Saved");
+  });
+
+  this.startPolling(); // a pad may already be connected
+};
+
+// Leaves the panel waiting for no button; the bindings stay as they were
+GamepadInputManager.prototype.cancelRecording = function () {
+  this.recording = null;
+  this.render();
+  this.showStatus("");
+};
+
+// The Gamepad API has no button events, so pads are read every frame while
+// any is connected. With none, recording waits for gamepadconnected.
+GamepadInputManager.prototype.startPolling = function () {
+  if (this.polling) return;
+  this.polling = true;
+
+  var self = this;
+  var frame = function () {
+    var active = self.poll(Date.now());
+    if (active) {
+      window.requestAnimationFrame(frame);
+    } else {
+      self.polling = false;
+    }
+  };
+  window.requestAnimationFrame(frame);
+};
+
+// Reads every pad once; returns whether any is connected
+GamepadInputManager.prototype.poll = function (now) {
+  var pads = navigator.getGamepads ? navigator.getGamepads() : [];
+  var active = false;
+
+  for (var i = 0; i < pads.length; i++) {
+    var pad = pads[i];
+    if (!pad || !pad.connected) continue;
+    active = true;
+
+    var state = this.pads[pad.index] || (this.pads[pad.index] = {
+      direction: null, since: 0, last: 0, pressed: {}
+    });
+    this.pollDirection(state, this.direction(pad), now);
+    this.pollButtons(state, pad);
+  }
+  return active;
+};
+
+// D-pad first, then the stick along its dominant axis; null when centred
+GamepadInputManager.prototype.direction = function (pad) {
+  for (var index in GamepadInputManager.dpad) {
+    var button = pad.buttons[index];
+    if (button && button.pressed) return GamepadInputManager.dpad[index];
+  }
+
+  var x = pad.axes[0] || 0, y = pad.axes[1] || 0;
+  if (Math.max(Math.abs(x), Math.abs(y)) < this.options.deadzone) return null;
+  if (Math.abs(x) > Math.abs(y)) return x > 0 ? 1 : 3;
+  return y > 0 ? 2 : 0;
+};
+
+// A new direction moves at once; holding it repeats after repeatDelay
+GamepadInputManager.prototype.pollDirection = function (state, direction, now) {
+  if (direction !== state.direction) {
+    state.direction = direction;
+    state.since = state.last = now;
+    if (direction !== null) this.target.emit("move", direction);
+  } else if (direction !== null &&
+             now - state.since >= this.options.repeatDelay &&
+             now - state.last >= this.options.repeatInterval) {
+    state.last = now;
+    this.target.emit("move", direction);
+  }
+};
+
+// Actions fire when a button goes down, not while it stays down
+GamepadInputManager.prototype.pollButtons = function (state, pad) {
+  for (var index = 0; index < pad.buttons.length; index++) {
+    var pressed = pad.buttons[index].pressed;
+    var wasPressed = state.pressed[index];
+    state.pressed[index] = pressed;
+    if (!pressed || wasPressed || index in GamepadInputManager.dpad) continue;
+
+    if (this.recording) {
+      this.assign(this.recording, index);
+      continue;
+    }
+
+    for (var name in this.buttons) {
+      if (this.buttons[name] === index) this.target.emit(name);
+    }
+  }
+};
+
+// A button does one thing: whichever action had it before loses it
+GamepadInputManager.prototype.assign = function (name, index) {
+  var message = "Saved";
+  for (var other in this.buttons) {
+    if (other !== name && this.buttons[other] === index) {
+      this.buttons[other] = null;
+      message = "Button " + index + " moved from \"" +
+        this.actionLabel(other) + "\"";
+    }
+  }
+  this.buttons[name] = index;
+  this.recording = null;
+  this.saveButtons();
+  this.render();
+  this.showStatus(message);
+};
+
+GamepadInputManager.prototype.actionLabel = function (name) {
+  return GamepadInputManager.actions.filter(function (action) {
+    return action.name === name;
+  })[0].label;
+};
+
+GamepadInputManager.prototype.render = function () {
+  this.actuator.showGamepadButtons(GamepadInputManager.actions, this.buttons,
+                                   this.recording);
+};
+
+GamepadInputManager.prototype.showStatus = function (message) {
+  this.actuator.showGamepadStatus(message);
+};
@@ -1,12 +1,20 @@
 /**
  * Grid constructor for 2048 game
  * Optimized for performance with pre-allocated arrays and simplified initialization
+ * `random` is any generator with a next() returning [0, 1), a SeededRandom
+ * by default, and drives every tile spawn
  */
-function Grid(size) {
+function Grid(size, previousState, random) {
   this.size = size;
+  this.random = random || new SeededRandom(SeededRandom.randomSeed());
   this.startTiles = 2;
   this.cells = [];
-  this.build();
+  this.indexes = Grid.buildIndexes(size);
+  if (previousState) {
+    this.cells = this.fromState(previousState);
+  } else {
+    this.build();
+  }
   this.playerTurn = true;
   this.maxTileValue = 2048; // Constant to prevent merging beyond 2048
 }
@@ -14,15 +22,23 @@ function Grid(size) {
 /**
  * Pre-allocate indexes for repeated access
  * Optimization: Cached position objects prevent garbage collection overhead
- * from creating new objects during gameplay
+ * from creating new objects during gameplay. Tables are shared per board size.
  */
-Grid.prototype.indexes = [];
-for (var x = 0; x < 4; x++) {
-  Grid.prototype.indexes.push([]);
-  for (var y = 0; y < 4; y++) {
-    Grid.prototype.indexes[x].push({ x: x, y: y });
+Grid.indexCache = {};
+
+Grid.buildIndexes = function(size) {
+  if (!Grid.indexCache[size]) {
+    const indexes = [];
+    for (let x = 0; x < size; x++) {
+      indexes.push([]);
+      for (let y = 0; y < size; y++) {
+        indexes[x].push({ x: x, y: y });
+      }
+    }
+    Grid.indexCache[size] = indexes;
   }
-}
+  return Grid.indexCache[size];
+};
 
 /**
  * Build initial grid
@@ -32,13 +48,47 @@ Grid.prototype.build = function() {
   this.cells = Array(this.size).fill().map(() => Array(this.size).fill(null));
 };
 
+/**
+ * Rebuild cells from the output of serialize()
+ */
+Grid.prototype.fromState = function(state) {
+  const cells = [];
+  for (let x = 0; x < this.size; x++) {
+    cells.push([]);
+    for (let y = 0; y < this.size; y++) {
+      const tile = state[x][y];
+      cells[x].push(tile ? new Tile(tile.position, tile.value) : null);
+    }
+  }
+  return cells;
+};
+
+/**
+ * Plain-object copy of the board, safe to post to a worker or store
+ */
+Grid.prototype.serialize = function() {
+  return {
+    size: this.size,
+    cells: this.cells.map(column =>
+      column.map(tile => tile ? tile.serialize() : null))
+  };
+};
+
 /**
  * Find random available cell
  * Optimization: Simplified return logic and removed unnecessary conditions
  */
 Grid.prototype.randomAvailableCell = function() {
   const cells = this.availableCells();
-  return cells.length ? cells[Math.floor(Math.random() * cells.length)] : null;
+  if (!cells.length) return null;
+  return cells[Math.floor(this.random.next() * cells.length)];
+};
+
+/**
+ * Swap the spawn generator, e.g. to replay a game from a known seed
+ */
+Grid.prototype.setRandom = function(random) {
+  this.random = random;
 };
 
 /**
@@ -111,7 +161,10 @@ Grid.prototype.withinBounds = function(position) {
  * Optimization: Using eachCell for consistent iteration
  */
 Grid.prototype.clone = function() {
-  const newGrid = new Grid(this.size);
+  // The copy gets its own generator in the same state: it spawns the same
+  // tiles as the original would, without advancing the original
+  const random = this.random.clone ? this.random.clone() : this.random;
+  const newGrid = new Grid(this.size, null, random);
   newGrid.playerTurn = this.playerTurn;
   this.eachCell((x, y, tile) => {
     if (tile) {
@@ -131,16 +184,25 @@ Grid.prototype.addStartTiles = function() {
   }
 };
 
+/**
+ * Chance that a spawned tile is a 2 rather than a 4
+ * Shared with the AI so its chance nodes use the real spawn odds
+ */
+Grid.prototype.twoProbability = 0.9;
+
 /**
  * Add a new random tile to the grid
  * Optimization: Simplified value generation logic
+ * Returns the new tile, or null when the board is full
  */
 Grid.prototype.addRandomTile = function() {
   if (this.cellsAvailable()) {
-    const value = Math.random() < 0.9 ? 2 : 4;
+    const value = this.random.next() < this.twoProbability ? 2 : 4;
     const tile = new Tile(this.randomAvailableCell(), value);
     this.insertTile(tile);
+    return tile;
   }
+  return null;
 };
 
 /**
@@ -230,11 +292,12 @@ Grid.prototype.move = function(direction) {
 };
 
 /**
- * Computer's move - adds a new random tile
+ * Computer's move - adds a new random tile and returns it
  */
 Grid.prototype.computerMove = function() {
-  this.addRandomTile();
+  const tile = this.addRandomTile();
   this.playerTurn = true;
+  return tile;
 };
 
 /**
@@ -317,13 +380,83 @@ Grid.prototype.positionsEqual = function(first, second) {
   return first.x === second.x && first.y === second.y;
 };
 
+/**
+ * Compact board code: "<size>:<cells>:<score>"
+ * Cells are row-major, one base-36 digit per cell holding the tile exponent
+ * (0 empty, 1 for 2, ... b for 2048), e.g. "3:100020000:4" has a 2 top left
+ * and a 4 in the middle. The score part is optional when importing.
+ */
+Grid.minSize = 3;
+Grid.maxSize = 6;
+Grid.maxExponent = 11;
+
+Grid.prototype.toCode = function(score) {
+  let cells = '';
+  for (let y = 0; y < this.size; y++) {
+    for (let x = 0; x < this.size; x++) {
+      const tile = this.cells[x][y];
+      cells += tile ? Math.log2(tile.value).toString(36) : '0';
+    }
+  }
+  return this.size + ':' + cells + ':' + (score || 0);
+};
+
+/**
+ * Inverse of toCode. Returns { grid, score } or throws an Error saying what
+ * is wrong with the code; a Grid is only built from a fully valid code.
+ */
+Grid.fromCode = function(code, random) {
+  const parts = String(code).trim().split(':');
+  if (parts.length < 2 || parts.length > 3) {
+    throw new Error('Board code should look like "size:cells:score"');
+  }
+
+  if (!/^\d+$/.test(parts[0])) {
+    throw new Error('Board size "' + parts[0] + '" is not a number');
+  }
+  const size = Number(parts[0]);
+  if (size < Grid.minSize || size > Grid.maxSize) {
+    throw new Error('Board size must be between ' + Grid.minSize + ' and ' +
+                    Grid.maxSize + ', got ' + size);
+  }
+
+  const cells = parts[1].toLowerCase();
+  if (cells.length !== size * size) {
+    throw new Error('A ' + size + 'x' + size + ' board needs ' + size * size +
+                    ' cells, got ' + cells.length);
+  }
+
+  let score = 0;
+  if (parts.length === 3 && parts[2] !== '') {
+    if (!/^\d+$/.test(parts[2])) {
+      throw new Error('Score "' + parts[2] + '" is not a whole number');
+    }
+    score = Number(parts[2]);
+  }
+
+  const grid = new Grid(size, null, random);
+  for (let i = 0; i < cells.length; i++) {
+    const exponent = parseInt(cells[i], 36);
+    if (isNaN(exponent) || exponent > Grid.maxExponent) {
+      throw new Error('Cell ' + (i + 1) + ' has invalid value "' + cells[i] +
+                      '" (use 0-9, a or b)');
+    }
+    if (exponent) {
+      grid.insertTile(new Tile({ x: i % size, y: Math.floor(i / size) },
+                               Math.pow(2, exponent)));
+    }
+  }
+
+  return { grid: grid, score: score };
+};
+
 /**
  * Convert grid to string representation
  * Optimization: Using array methods for cleaner string building
  */
 Grid.prototype.toString = function() {
-  return Array(4).fill().map((_, i) => 
-    Array(4).fill().map((_, j) => 
+  return Array(this.size).fill().map((_, i) =>
+    Array(this.size).fill().map((_, j) =>
       this.cells[j][i] ? this.cells[j][i].value : '_'
     ).join(' ')
   ).join('\n');
@@ -1,4 +1,5 @@
 function HTMLActuator() {
+  this.gridContainer    = document.getElementsByClassName("grid-container")[0];
   this.tileContainer    = document.getElementsByClassName("tile-container")[0];
   this.scoreContainer   = document.getElementsByClassName("score-container")[0];
   this.messageContainer = document.getElementsByClassName("game-message")[0];
@@ -8,8 +9,87 @@ function HTMLActuator() {
   this.resetButton = document.querySelector(".reset-button");
 
   this.score = 0;
+  this.size  = null;
 }
 
+// Layout of the board in pixels, for the desktop and the small-screen styles
+// (rows are spaced by the .grid-row margin, columns by the .grid-cell margin)
+HTMLActuator.prototype.layouts = [
+  { media: null, board: 470, spacingX: 15, spacingY: 10 },
+  {
+    media: "screen and (max-width: 480px)",
+    board: 260, spacingX: 10, spacingY: 10
+  }
+];
+
+// Builds the background cells and the tile position styles for a board size
+HTMLActuator.prototype.buildGrid = function (size) {
+  if (this.size === size) return;
+  this.size = size;
+
+  this.clearContainer(this.gridContainer);
+  this.clearContainer(this.tileContainer);
+
+  for (var y = 0; y < size; y++) {
+    var row = document.createElement("div");
+    row.classList.add("grid-row");
+
+    for (var x = 0; x < size; x++) {
+      var cell = document.createElement("div");
+      cell.classList.add("grid-cell");
+      cell.setAttribute("data-x", x);
+      cell.setAttribute("data-y", y);
+
+      var icon = document.createElement("img");
+      icon.src = "./img/plus.svg";
+      icon.className = "placeholder-icon plus-icon";
+
+      cell.appendChild(icon);
+      row.appendChild(cell);
+    }
+
+    this.gridContainer.appendChild(row);
+  }
+
+  this.updateGridStyle(size);
+};
+
+HTMLActuator.prototype.updateGridStyle = function (size) {
+  var style = document.getElementById("grid-size-style");
+  if (!style) {
+    style = document.createElement("style");
+    style.id = "grid-size-style";
+    document.head.appendChild(style);
+  }
+
+  var self = this;
+  style.textContent = this.layouts.map(function (layout) {
+    var rules = self.gridRules(size, layout);
+    if (!layout.media) return rules;
+    return "@media " + layout.media + " {\n" + rules + "}\n";
+  }).join("");
+};
+
+HTMLActuator.prototype.gridRules = function (size, layout) {
+  var cellSize = (layout.board - layout.spacingX * (size - 1)) / size;
+  var rules = [
+    ".grid-cell { width: " + cellSize + "px; height: " + cellSize + "px; }",
+    ".tile { width: " + cellSize + "px; height: " + cellSize + "px; " +
+      "line-height: " + (cellSize + 10) + "px; }"
+  ];
+
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      rules.push(".tile." + this.positionClass({ x: x, y: y }) + " { " +
+        "position: absolute; " +
+        "left: " + Math.round(x * (cellSize + layout.spacingX)) + "px; " +
+        "top: " + Math.round(y * (cellSize + layout.spacingY)) + "px; }");
+    }
+  }
+
+  return rules.join("\n") + "\n";
+};
+
 HTMLActuator.prototype.actuate = function (grid, metadata) {
   var self = this;
 
@@ -91,19 +171,14 @@ HTMLActuator.prototype.addTile = function (tile) {
   // Put the tile on the board
   this.tileContainer.appendChild(wrapper);
 
-  // Add click event listener for upgrading tile value
+  // Clicks on tiles go to GameManager.handleCellClick (see application.js),
+  // so upgrades are recorded in the undo history
+  wrapper.setAttribute("data-x", tile.x);
+  wrapper.setAttribute("data-y", tile.y);
+
   if (tile.isNew) {
     // add border to new tiles
     wrapper.style.border = '2px solid greenyellow';
-    wrapper.addEventListener('click', function() {
-      if (tile.value < 2048) {
-        tile.value *= 2;
-        inner.textContent = tile.value;
-        wrapper.className = wrapper.className.replace(/tile-\d+/, 'tile-' + tile.value);
-        tile.isNew = false;
-        // wrapper.style.border = 'none';
-      }
-    });
   }
 };
 
@@ -156,10 +231,557 @@ HTMLActuator.prototype.clearMessage = function () {
 };
 
 
-HTMLActuator.prototype.showHint = function(hint) {
-  document.getElementById('feedback-container').innerHTML = ['↑','→','↓','←'][hint];
+// Spinner while the AI searches, with the depth it has finished so far
+HTMLActuator.prototype.showThinking = function(depth) {
+  var feedback = document.getElementById('feedback-container');
+  feedback.innerHTML = '<img src=img/spinner.gif />';
+  if (depth) {
+    var depthLabel = document.createElement("span");
+    depthLabel.classList.add("hint-depth");
+    depthLabel.textContent = "depth " + depth;
+    feedback.appendChild(depthLabel);
+  }
+};
+
+HTMLActuator.prototype.clearHint = function() {
+  document.getElementById('feedback-container').innerHTML = ' ';
+  this.clearContainer(document.getElementById('move-ranking'));
+  this.clearContainer(document.getElementById('hint-explanation'));
+};
+
+HTMLActuator.prototype.arrows = ['↑','→','↓','←'];
+
+// best is a SmartAI.getBest result: the arrow goes in the feedback area and
+// every direction is listed below the controls, best first. Solved endgames
+// say so instead of giving a search depth, and a recommended move that
+// takes the biggest tile out of its anchor corner is flagged.
+HTMLActuator.prototype.showHint = function(best) {
+  var feedback = document.getElementById('feedback-container');
+  feedback.innerHTML = this.arrows[best.move];
+  if (best.depth || best.rollouts) {
+    var depthLabel = document.createElement("span");
+    depthLabel.classList.add("hint-depth");
+    depthLabel.textContent = best.solved ?
+      "solved, " + best.solved.spawns + " spawns ahead" :
+      best.rollouts ? best.rollouts + " rollouts per move" :
+      "depth " + best.depth;
+    if (best.solved) {
+      depthLabel.classList.add("hint-solved");
+      depthLabel.title = "Exact " + best.solved.objective + " over the next " +
+        best.solved.spawns + " spawns, not a heuristic estimate";
+    }
+    feedback.appendChild(depthLabel);
+  }
+  var recommended = (best.moves || [])[best.move];
+  if (recommended && recommended.danger &&
+      recommended.danger.probability >= DangerEstimator.warnAt) {
+    var warning = document.createElement("span");
+    warning.classList.add("hint-danger");
+    warning.textContent = "\u26a0 " + this.formatChance(recommended.danger) +
+      " chance of game over within " + recommended.danger.spawns + " spawns";
+    feedback.appendChild(warning);
+  }
+  if (recommended && recommended.dislodgesAnchor) {
+    var dislodged = document.createElement("span");
+    dislodged.classList.add("hint-anchor");
+    dislodged.textContent = "\u26a0 moves the biggest tile out of its corner";
+    var kept = best.moves.some(function (move) {
+      return move.legal && !move.dislodgesAnchor;
+    });
+    dislodged.title = kept ? "Every move that keeps it there rates worse" :
+      "No move keeps it there";
+    feedback.appendChild(dislodged);
+  }
+  var ranked = this.rankMoves(best.moves || [], best.move);
+  this.showMoveRanking(best.moves || [], ranked, best.solved);
+  this.showExplanation(ranked);
 }
 
+// Legal, searched moves from best to worst; the recommended move goes
+// first among equals (solved endgames often have several)
+HTMLActuator.prototype.rankMoves = function(moves, recommended) {
+  return moves.filter(function (move) {
+    return move.legal && move.score !== null;
+  }).sort(function (a, b) {
+    return (b.score - a.score) ||
+           (b.direction === recommended) - (a.direction === recommended);
+  });
+};
+
+HTMLActuator.prototype.showMoveRanking = function(moves, ranked, solved) {
+  var container = document.getElementById('move-ranking');
+  this.clearContainer(container);
+
+  var illegal = moves.filter(function (move) { return !move.legal; });
+  if (!ranked.length) return;
+
+  var top = ranked[0].score;
+  var bottom = ranked[ranked.length - 1].score;
+  var self = this;
+
+  ranked.concat(illegal).forEach(function (move, index) {
+    var row = document.createElement("li");
+    row.classList.add("move-rank");
+
+    var arrow = document.createElement("span");
+    arrow.classList.add("move-arrow");
+    arrow.textContent = self.arrows[move.direction];
+    row.appendChild(arrow);
+
+    var bar = document.createElement("span");
+    bar.classList.add("move-bar");
+    var fill = document.createElement("span");
+    fill.classList.add("move-bar-fill");
+    bar.appendChild(fill);
+    row.appendChild(bar);
+
+    var label = document.createElement("span");
+    label.classList.add("move-value");
+    row.appendChild(label);
+
+    if (!move.legal) {
+      row.classList.add("move-illegal");
+      label.textContent = "illegal";
+    } else {
+      // Bars are relative to the spread of this hint, worst legal move at 5%
+      var share = top === bottom ? 1 : (move.score - bottom) / (top - bottom);
+      fill.style.width = Math.round(5 + 95 * share) + "%";
+      label.textContent = move.outcome ?
+        self.formatOutcome(move.outcome, solved) :
+        index === 0 ? "best" : self.formatLoss(move.score - top);
+      if (index === 0) row.classList.add("move-best");
+    }
+
+    if (move.forcedLoss) {
+      row.classList.add("move-forced-loss");
+      label.textContent = "forced loss";
+    }
+
+    if (move.dislodgesAnchor) {
+      var anchor = document.createElement("span");
+      anchor.classList.add("move-anchor");
+      anchor.textContent = "leaves corner";
+      anchor.title = "Takes the biggest tile out of the anchor corner";
+      row.appendChild(anchor);
+    }
+
+    if (move.danger && move.danger.probability > 0) {
+      var risk = document.createElement("span");
+      risk.classList.add("move-danger");
+      risk.textContent = self.formatChance(move.danger) + " risk";
+      risk.title = "Chance of game over within " + move.danger.spawns +
+        " spawns" + (move.danger.exact ? "" : " (sampled)");
+      row.appendChild(risk);
+    }
+
+    container.appendChild(row);
+  });
+};
+
+// DangerEstimator result as a percentage; sampled ones are approximate
+HTMLActuator.prototype.formatChance = function(danger) {
+  var percent = Math.round(danger.probability * 100);
+  var text = percent === 0 && danger.probability > 0 ? "<1%" :
+             percent === 100 && danger.probability < 1 ? ">99%" : percent + "%";
+  return (danger.exact ? "" : "~") + text;
+};
+
+// Solver outcome of a move, under the objective it was solved for
+HTMLActuator.prototype.formatOutcome = function(outcome, solved) {
+  return solved.objective === EndgameObjective.MERGES ?
+    outcome.merges.toFixed(2) + " merges" :
+    (outcome.survival * 100).toFixed(1) + "% survival";
+};
+
+// Difference between two move values: probability or merges for solved
+// positions, evaluation points otherwise
+HTMLActuator.prototype.formatDifference = function(difference, solved) {
+  if (!solved) return this.formatLoss(difference);
+  return solved.objective === EndgameObjective.MERGES ?
+    difference.toFixed(2) + " merges" :
+    (difference * 100).toFixed(1) + "% survival";
+};
+
+HTMLActuator.prototype.formatLoss = function(difference) {
+  return (Math.round(difference) || 0).toLocaleString(); // no "-0"
+};
+
+HTMLActuator.prototype.termLabels = {
+  monotonicity: "Monotonicity",
+  empty: "Empty cells",
+  merges: "Merges",
+  sum: "Tile sum",
+  maxTiles: "2048 tiles",
+  stacking: "2048 stacking",
+  layout: "Corner layout",
+  deadBoard: "Dead board"
+};
+
+// Evaluation terms of the best move next to the runner-up. Each cell shows
+// the weighted value with the raw term in brackets.
+HTMLActuator.prototype.showExplanation = function(ranked) {
+  var table = document.getElementById('hint-explanation');
+  this.clearContainer(table);
+
+  var shown = ranked.slice(0, 2).filter(function (move) {
+    return move.breakdown;
+  });
+  if (!shown.length) return;
+
+  var self = this;
+  var addRow = function (cells, header) {
+    var row = document.createElement("tr");
+    cells.forEach(function (text) {
+      var cell = document.createElement(header ? "th" : "td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+    table.appendChild(row);
+    return row;
+  };
+
+  var heading = ["Term"].concat(shown.map(function (move) {
+    return self.arrows[move.direction];
+  }));
+  if (shown.length === 2) heading.push("Difference");
+  addRow(heading, true);
+
+  var terms = Object.keys(shown[0].breakdown.terms);
+  terms.concat(["total"]).forEach(function (name) {
+    var cells = [self.termLabels[name] || "Total"];
+    var weighted = shown.map(function (move) {
+      var breakdown = move.breakdown;
+      if (name === "total") {
+        cells.push(self.formatLoss(breakdown.total));
+        return breakdown.total;
+      }
+      var term = breakdown.terms[name];
+      cells.push(self.formatLoss(term.weighted) + " (" +
+                 Math.round(term.value * 100) / 100 + ")");
+      return term.weighted;
+    });
+    if (shown.length === 2) {
+      cells.push(self.formatLoss(weighted[0] - weighted[1]));
+    }
+
+    var row = addRow(cells);
+    if (name === "total") row.classList.add("explanation-total");
+  });
+};
+
+// Fills the profile dropdown and the editor with the selected profile
+HTMLActuator.prototype.showProfiles = function(profiles, selected) {
+  var select = document.querySelector(".profile-select");
+  this.clearContainer(select);
+
+  profiles.forEach(function (profile) {
+    var option = document.createElement("option");
+    option.value = profile.name;
+    option.textContent = profile.label;
+    option.selected = profile.name === selected.name;
+    select.appendChild(option);
+  });
+
+  this.showProfileEditor(selected);
+};
+
+HTMLActuator.prototype.showProfileEditor = function(profile) {
+  var fields = document.querySelector(".profile-fields");
+  this.clearContainer(fields);
+
+  var addField = function (label, group, key, value) {
+    var wrapper = document.createElement("label");
+    wrapper.classList.add("profile-field");
+    wrapper.textContent = label;
+
+    var input = document.createElement("input");
+    input.type = "number";
+    input.step = "any";
+    input.value = value;
+    if (group) input.setAttribute("data-group", group);
+    input.setAttribute("data-key", key);
+
+    wrapper.appendChild(input);
+    fields.appendChild(wrapper);
+  };
+
+  for (var key in profile.weights) {
+    addField(this.termLabels[key] + " weight", "weights", key,
+             profile.weights[key]);
+  }
+  addField("Tile power", "exponents", "sum", profile.exponents.sum);
+  addField("2048+ tile power", "exponents", "sumLarge",
+           profile.exponents.sumLarge);
+  addField("Monotonicity power", "exponents", "monotonicity",
+           profile.exponents.monotonicity);
+  addField("Max search depth", null, "maxDepth", profile.maxDepth);
+
+  document.querySelector(".profile-name").value =
+    AIProfiles.isBuiltIn(profile.name) ? "" : profile.name;
+  this.showProfileStatus("");
+};
+
+HTMLActuator.prototype.showProfileStatus = function(message) {
+  document.querySelector(".profile-status").textContent = message;
+};
+
+HTMLActuator.prototype.showKeybindings = function(bindings) {
+  var list = document.querySelector(".keybinding-list");
+  this.clearContainer(list);
+
+  Keybindings.actions.forEach(function (action) {
+    var row = document.createElement("li");
+    var label = document.createElement("span");
+    label.classList.add("keybinding-label");
+    label.textContent = action.label;
+    row.appendChild(label);
+
+    bindings[action.name].forEach(function (combo) {
+      var key = document.createElement("button");
+      key.classList.add("keybinding-remove");
+      key.setAttribute("data-action", action.name);
+      key.setAttribute("data-combo", combo);
+      key.title = "Remove";
+      key.textContent = Keybindings.label(combo) + " \u00d7";
+      row.appendChild(key);
+    });
+
+    var add = document.createElement("button");
+    add.classList.add("keybinding-add");
+    add.setAttribute("data-action", action.name);
+    add.title = "Add a key";
+    add.textContent = "+";
+    row.appendChild(add);
+
+    list.appendChild(row);
+  });
+};
+
+HTMLActuator.prototype.showKeybindingStatus = function(message) {
+  document.querySelector(".keybinding-status").textContent = message;
+};
+
+// One row per GamepadInputManager action with its button; `recording` is
+// the action waiting for a press
+HTMLActuator.prototype.showGamepadButtons = function(actions, buttons,
+                                                     recording) {
+  var list = document.querySelector(".gamepad-list");
+  this.clearContainer(list);
+
+  actions.forEach(function (action) {
+    var row = document.createElement("li");
+    var label = document.createElement("span");
+    label.classList.add("keybinding-label");
+    label.textContent = action.label;
+
+    var button = document.createElement("button");
+    button.setAttribute("data-action", action.name);
+    var index = buttons[action.name];
+    if (action.name === recording) {
+      button.title = "Cancel";
+      button.textContent = "Press a button\u2026";
+    } else {
+      button.title = "Change";
+      button.textContent = index === null ? "none" : "Button " + index;
+    }
+
+    row.appendChild(label);
+    row.appendChild(button);
+    list.appendChild(row);
+  });
+};
+
+HTMLActuator.prototype.showGamepadStatus = function(message) {
+  document.querySelector(".gamepad-status").textContent = message;
+};
+
+// Controls for each search option a strategy can list in its `settings`
+HTMLActuator.prototype.settingControls = {
+  monteCarlo: [".rollout-settings"],
+  searchMode: [".search-select"],
+  endgame: [".endgame-select", ".endgame-label"],
+  layout: [".corner-select", ".order-select"]
+};
+
+// Fills the strategy dropdown and shows only the controls of the settings
+// the selected strategy reads
+HTMLActuator.prototype.showStrategies = function(strategies, selected) {
+  var select = document.querySelector(".strategy-select");
+  this.clearContainer(select);
+
+  strategies.forEach(function (strategy) {
+    var option = document.createElement("option");
+    option.value = strategy.name;
+    option.textContent = strategy.label;
+    option.selected = strategy.name === selected;
+    select.appendChild(option);
+  });
+
+  var used = (strategies.filter(function (strategy) {
+    return strategy.name === selected;
+  })[0] || {}).settings || [];
+  for (var setting in this.settingControls) {
+    this.settingControls[setting].forEach(function (selector) {
+      document.querySelector(selector).style.display =
+        used.indexOf(setting) !== -1 ? "" : "none";
+    });
+  }
+};
+
+// Form controls for settings restored from a saved session
+HTMLActuator.prototype.showSettings = function(settings) {
+  var monteCarlo = settings.monteCarlo;
+  document.querySelector(".rollout-count").value = monteCarlo.rollouts;
+  document.querySelector(".rollout-depth").value = monteCarlo.depth;
+  document.querySelector(".rollout-guided").checked = monteCarlo.guided;
+  document.querySelector(".search-select").value = settings.searchMode;
+  document.querySelector(".endgame-select").value = settings.endgame.threshold ?
+    settings.endgame.objective : "off";
+  if (settings.endgame.threshold) {
+    document.querySelector(".endgame-threshold").value =
+      settings.endgame.threshold;
+  }
+  document.querySelector(".corner-select").value = settings.layout.corner || "";
+  document.querySelector(".order-select").value = settings.layout.order;
+  document.querySelector(".explain-toggle").checked = settings.explain;
+  document.querySelector(".mirror-toggle").checked = settings.mirror;
+};
+
+HTMLActuator.prototype.showSeed = function(seed) {
+  document.querySelector(".seed-input").value = seed;
+};
+
+HTMLActuator.prototype.showSize = function(size) {
+  document.querySelector(".size-select").value = size;
+};
+
+// The code goes in the text box and a link to the position next to it. The
+// link isn't put in the address bar: a reload would import it over the
+// saved session.
+HTMLActuator.prototype.showBoardCode = function(code, message) {
+  document.querySelector(".board-code-input").value = code;
+  var link = document.querySelector(".board-link-input");
+  link.value = window.location.origin + window.location.pathname +
+    "#board=" + code;
+  link.style.display = "";
+  this.showBoardCodeStatus(message);
+};
+
+HTMLActuator.prototype.showBoardCodeStatus = function(message) {
+  document.querySelector(".board-code-status").textContent = message;
+};
+
+HTMLActuator.prototype.showUncertainCells = function(cells) {
+  this.gridContainer.querySelectorAll(".grid-cell").forEach(function (element) {
+    var x = Number(element.getAttribute("data-x"));
+    var y = Number(element.getAttribute("data-y"));
+    var uncertain = cells.some(function (cell) {
+      return cell.x === x && cell.y === y;
+    });
+    element.classList.toggle("uncertain-cell", uncertain);
+  });
+};
+
+// Outlines the keyboard cursor cell; null hides the cursor
+HTMLActuator.prototype.showCursor = function(cursor) {
+  this.gridContainer.querySelectorAll(".grid-cell").forEach(function (element) {
+    element.classList.toggle("cursor-cell", !!cursor &&
+      Number(element.getAttribute("data-x")) === cursor.x &&
+      Number(element.getAttribute("data-y")) === cursor.y);
+  });
+};
+
+// undoKind / redoKind are GameHistory kinds, or null when there is nothing
+HTMLActuator.prototype.updateHistoryButtons = function(undoKind, redoKind) {
+  var undo = document.querySelector('.undo-button');
+  var redo = document.querySelector('.redo-button');
+  undo.disabled = !undoKind;
+  redo.disabled = !redoKind;
+  undo.title = 'Undo' + (undoKind ? ' ' + undoKind : '');
+  redo.title = 'Redo' + (redoKind ? ' ' + redoKind : '');
+};
+
+// Opens the level palette next to a cell and marks the current value
+HTMLActuator.prototype.showValuePicker = function(position, exponent) {
+  var picker = document.querySelector('.value-picker');
+  var container = picker.offsetParent || picker.parentNode;
+  var cell = this.gridContainer.querySelector(
+    '.grid-cell[data-x="' + position.x + '"][data-y="' + position.y + '"]');
+  var cellBox = cell.getBoundingClientRect();
+  var containerBox = container.getBoundingClientRect();
+
+  picker.querySelectorAll('button').forEach(function (button) {
+    var value = Number(button.getAttribute('data-exponent'));
+    button.classList.toggle('selected', value === exponent);
+  });
+
+  picker.style.display = 'grid';
+  // Below the cell, or above it when that would run off the board
+  var top = cellBox.bottom - containerBox.top + 4;
+  if (top + picker.offsetHeight > container.offsetHeight) {
+    top = Math.max(0, cellBox.top - containerBox.top - picker.offsetHeight - 4);
+  }
+  var left = Math.min(cellBox.left - containerBox.left,
+                      container.offsetWidth - picker.offsetWidth);
+  picker.style.top = top + 'px';
+  picker.style.left = Math.max(0, left) + 'px';
+};
+
+HTMLActuator.prototype.hideValuePicker = function() {
+  document.querySelector('.value-picker').style.display = 'none';
+};
+
+HTMLActuator.prototype.showMirrorStatus = function(message) {
+  document.querySelector('.mirror-status').textContent = message;
+};
+
+// Empty cells invite the spawn click while mirror mode waits for it
+HTMLActuator.prototype.setAwaitingSpawn = function(awaiting) {
+  this.gridContainer.classList.toggle('awaiting-spawn', awaiting);
+};
+
+// Lists GameReview results, each with a button that shows its position
+HTMLActuator.prototype.showReview = function(results) {
+  var list = document.querySelector('.review-list');
+  var self = this;
+  this.clearContainer(list);
+
+  results.forEach(function (result) {
+    var row = document.createElement('li');
+    var label = document.createElement('span');
+    label.classList.add('review-label');
+    label.textContent = 'Move ' + result.number + ': ' +
+      self.arrows[result.played] + ' instead of ' +
+      self.arrows[result.best] + ' (' +
+      self.formatDifference(-result.loss, result.solved) + ')';
+
+    var show = document.createElement('button');
+    show.setAttribute('data-index', result.index);
+    show.textContent = 'Show';
+
+    row.appendChild(label);
+    row.appendChild(show);
+    list.appendChild(row);
+  });
+};
+
+// busy: a review is running, so the button stops it
+HTMLActuator.prototype.showReviewStatus = function(message, busy) {
+  document.querySelector('.review-status').textContent = message;
+  document.querySelector('.review-button').textContent =
+    busy ? 'Stop review' : 'Review game';
+};
+
+// Says which reviewed position is on the board; null hides the banner
+HTMLActuator.prototype.showReviewPosition = function(result) {
+  var banner = document.querySelector('.review-position');
+  banner.style.display = result ? '' : 'none';
+  if (!result) return;
+  banner.querySelector('.review-position-label').textContent =
+    'Before move ' + result.number + ': played ' + this.arrows[result.played] +
+    ', the AI prefers ' + this.arrows[result.best];
+};
+
 HTMLActuator.prototype.setRunButton = function(message) {
   document.getElementById('run-button').innerHTML = message;
 }
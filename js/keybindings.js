@@ -0,0 +1,177 @@
+// Keys for the page's actions. A binding is a combo string such as "ArrowUp",
+// "h" or "Ctrl+Shift+z": optional modifiers, then the key as event.key names
+// it, so letters follow the user's keyboard layout. Layouts that type other
+// scripts fall back to the physical key from event.code. Defaults ship here;
+// changes are saved in localStorage.
+Keybindings = {
+  storageKey: "gala-helper.keybindings",
+
+  // Rebindable actions and the input manager event each one emits
+  actions: [
+    { name: "up",    label: "Move up",    event: "move", data: 0 },
+    { name: "right", label: "Move right", event: "move", data: 1 },
+    { name: "down",  label: "Move down",  event: "move", data: 2 },
+    { name: "left",  label: "Move left",  event: "move", data: 3 },
+    { name: "think", label: "Hint",        event: "think" },
+    { name: "run",   label: "Auto-run",    event: "run" },
+    { name: "reset", label: "Reset board", event: "reset" },
+    { name: "toggleEditMode", label: "Toggle edit mode",
+      event: "toggleEditMode" },
+    { name: "undo",  label: "Undo",        event: "undo" },
+    { name: "redo",  label: "Redo",        event: "redo" }
+  ],
+
+  defaults: {
+    up:             ["ArrowUp", "k"],
+    right:          ["ArrowRight", "l"],
+    down:           ["ArrowDown", "j"],
+    left:           ["ArrowLeft", "h"],
+    think:          ["i"],
+    run:            ["r"],
+    reset:          ["Space"],
+    toggleEditMode: ["e"],
+    undo:           ["Ctrl+z"],
+    redo:           ["Ctrl+y", "Ctrl+Shift+z"]
+  },
+
+  // Keys with a fixed meaning (see KeyboardInputManager.listen)
+  reserved: {
+    "Tab": "Keyboard cursor",
+    "Enter": "Back to play",
+    "Escape": "Close the value picker",
+    "Delete": "Clear a cell",
+    "Backspace": "Clear a cell"
+  }
+};
+
+"0123456789ab".split("").forEach(function (key) {
+  Keybindings.reserved[key] = "Set a tile level";
+});
+
+Keybindings.action = function (name) {
+  return Keybindings.actions.filter(function (action) {
+    return action.name === name;
+  })[0] || null;
+};
+
+// Key part of a combo: event.key, lower-cased for letters, "Space" for the
+// space bar, or the event.code letter/digit when the layout types something
+// else there (Cyrillic, Greek, ...)
+Keybindings.keyName = function (event) {
+  var key = event.key;
+  if (key === " " || key === "Spacebar") return "Space";
+  var printable = key && key.length === 1 && /[\x21-\x7e]/.test(key);
+  if (printable) return key.toLowerCase();
+
+  var match = /^(?:Key([A-Z])|Digit(\d))$/.exec(event.code || "");
+  if (match) return (match[1] || match[2]).toLowerCase();
+  return key && key !== "Unidentified" ? key : event.code || null;
+};
+
+// Combo for a keydown, or null for a lone modifier. Cmd counts as Ctrl, and
+// Shift is only part of the combo for keys it doesn't change (letters, arrows)
+Keybindings.comboFromEvent = function (event) {
+  var key = Keybindings.keyName(event);
+  if (!key || /^(Control|Shift|Alt|Meta|OS)$/.test(key)) return null;
+
+  var shiftChanges = key.length === 1 && !/[a-z]/.test(key);
+  var parts = [];
+  if (event.ctrlKey || event.metaKey) parts.push("Ctrl");
+  if (event.altKey) parts.push("Alt");
+  if (event.shiftKey && !shiftChanges) parts.push("Shift");
+  parts.push(key);
+  return parts.join("+");
+};
+
+// Every action gets a list of combo strings, missing ones from the defaults
+Keybindings.normalize = function (bindings) {
+  var result = {};
+  bindings = bindings || {};
+  Keybindings.actions.forEach(function (action) {
+    var combos = bindings[action.name];
+    result[action.name] = Array.isArray(combos) ?
+      combos.filter(function (combo) {
+        return typeof combo === "string" && combo;
+      }) :
+      Keybindings.defaults[action.name].slice();
+  });
+  return result;
+};
+
+// Combos claimed twice, by two actions or by an action and a reserved key:
+// [{ combo, actions: [label, ...] }]
+Keybindings.conflicts = function (bindings) {
+  var owners = {};
+  Keybindings.actions.forEach(function (action) {
+    (bindings[action.name] || []).forEach(function (combo) {
+      owners[combo] = owners[combo] || [];
+      var reserved = Keybindings.reserved[combo];
+      if (reserved) owners[combo].push(reserved);
+      owners[combo].push(action.label);
+    });
+  });
+
+  var conflicts = [];
+  for (var combo in owners) {
+    var labels = owners[combo].filter(function (label, i, all) {
+      return all.indexOf(label) === i;
+    });
+    if (labels.length > 1) conflicts.push({ combo: combo, actions: labels });
+  }
+  return conflicts;
+};
+
+// combo -> action, for the keydown handler
+Keybindings.lookup = function (bindings) {
+  var table = {};
+  Keybindings.actions.forEach(function (action) {
+    bindings[action.name].forEach(function (combo) {
+      table[combo] = action;
+    });
+  });
+  return table;
+};
+
+Keybindings.storage = function () {
+  try {
+    return window.localStorage;
+  } catch (e) {
+    return null;
+  }
+};
+
+Keybindings.load = function () {
+  var storage = Keybindings.storage();
+  if (!storage) return Keybindings.normalize(null);
+  try {
+    var saved = storage.getItem(Keybindings.storageKey);
+    return Keybindings.normalize(JSON.parse(saved));
+  } catch (e) {
+    console.warn("Ignoring unreadable keybindings:", e.message);
+    return Keybindings.normalize(null);
+  }
+};
+
+// Refuses bindings with conflicts, naming the first one
+Keybindings.save = function (bindings) {
+  bindings = Keybindings.normalize(bindings);
+  var conflicts = Keybindings.conflicts(bindings);
+  if (conflicts.length) {
+    throw new Error(Keybindings.label(conflicts[0].combo) +
+                    " is already used for " +
+                    conflicts[0].actions.join(" and "));
+  }
+
+  var storage = Keybindings.storage();
+  if (!storage) throw new Error("Local storage is not available");
+  storage.setItem(Keybindings.storageKey, JSON.stringify(bindings));
+  return bindings;
+};
+
+Keybindings.label = function (combo) {
+  return combo.replace(/Arrow(Up|Right|Down|Left)/, "$1 arrow")
+    .replace(/\+([a-z])$/, function (_, key) {
+      return "+" + key.toUpperCase();
+    })
+    .replace(/^([a-z])$/, function (_, key) { return key.toUpperCase(); });
+};
@@ -1,5 +1,7 @@
 function KeyboardInputManager() {
   this.events = {};
+  this.recording = null; // Action waiting for a key in the keybindings panel
+  this.setBindings(Keybindings.load());
 
   this.listen();
 }
@@ -23,32 +25,59 @@ KeyboardInputManager.prototype.emit = function (event, data) {
 KeyboardInputManager.prototype.listen = function () {
   var self = this;
 
-  var map = {
-    38: 0, // Up
-    39: 1, // Right
-    40: 2, // Down
-    37: 3, // Left
-    75: 0, // vim keybindings
-    76: 1,
-    74: 2,
-    72: 3
-  };
-
   document.addEventListener("keydown", function (event) {
-    var modifiers = event.altKey || event.ctrlKey || event.metaKey ||
-                    event.shiftKey;
-    var mapped    = map[event.which];
-
-    if (!modifiers) {
-      if (mapped !== undefined) {
-        event.preventDefault();
-        var feedbackContainer  = document.getElementById('feedback-container');
-        feedbackContainer.innerHTML = ' ';
-        self.emit("move", mapped);
+    // Keys typed into the seed, board code and profile fields are text;
+    // checkboxes and dropdowns keep the shortcuts working
+    if (self.isTextEntry(event.target)) return;
+
+    var combo = Keybindings.comboFromEvent(event);
+    if (!combo) return;
+
+    // The settings panel is waiting for a key to bind
+    if (self.recording) {
+      event.preventDefault();
+      var action = self.recording;
+      self.recording = null;
+      if (combo === "Escape") {
+        self.emit("cancelBinding");
+      } else {
+        self.emit("rebind", { action: action, combo: combo });
+      }
+      return;
+    }
+
+    var bound = self.keyMap[combo];
+    if (bound) {
+      event.preventDefault();
+      if (bound.event === "move") {
+        document.getElementById('feedback-container').innerHTML = ' ';
       }
+      self.emit(bound.event, bound.data);
+      return;
+    }
 
-      if (event.which === 32) self.restart.bind(self)(event);
+    if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+    // 0 clears the cell (under the keyboard cursor, or else the mouse),
+    // 1-9, a and b set it to that level (the same digits as board codes).
+    // Digits count by position too, for layouts that need Shift for them.
+    var exponent = self.levelKeys.indexOf(Keybindings.keyName(event));
+    var digit = /^Digit(\d)$/.exec(event.code || "");
+    if (exponent === -1 && digit) exponent = Number(digit[1]);
+    if (event.key === "Delete" || event.key === "Backspace") exponent = 0;
+    if (exponent !== -1) {
+      event.preventDefault();
+      self.emit("levelKey", { exponent: exponent, hovered: self.hoveredCell });
+      return;
     }
+
+    // Tab switches between the keyboard cursor and play, Enter plays
+    if (event.key === "Tab") {
+      event.preventDefault();
+      self.emit("toggleCursor");
+    }
+    if (event.key === "Enter") self.emit("leaveCursor");
+    if (event.key === "Escape") self.emit("closePicker");
   });
 
   var retry = document.getElementsByClassName("retry-button")[0];
@@ -57,8 +86,6 @@ KeyboardInputManager.prototype.listen = function () {
   var hintButton = document.getElementById('hint-button');
   hintButton.addEventListener('click', function(e) {
     e.preventDefault();
-    var feedbackContainer  = document.getElementById('feedback-container');
-    feedbackContainer.innerHTML = '<img src=img/spinner.gif />';
     self.emit('think');
   });
 
@@ -86,6 +113,13 @@ KeyboardInputManager.prototype.listen = function () {
     self.emit("toggleEditMode");
   });
 
+  var newBoardButton = document.querySelector(".new-board-button");
+
+  newBoardButton.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("newBoard");
+  });
+
   var resetButton = document.querySelector(".reset-button");
 
   resetButton.addEventListener("click", function (event) {
@@ -93,14 +127,346 @@ KeyboardInputManager.prototype.listen = function () {
     self.emit("reset");
   });
 
+  var undoButton = document.querySelector(".undo-button");
+
+  undoButton.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("undo");
+  });
+
+  var redoButton = document.querySelector(".redo-button");
+
+  redoButton.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("redo");
+  });
+
+  var reviewButton = document.querySelector(".review-button");
+
+  reviewButton.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("review");
+  });
+
+  var reviewList = document.querySelector(".review-list");
+
+  reviewList.addEventListener("click", function (event) {
+    var button = event.target.closest("button");
+    if (!button) return;
+    event.preventDefault();
+    self.emit("showReviewPosition", Number(button.getAttribute("data-index")));
+  });
+
+  var reviewBack = document.querySelector(".review-back");
+
+  reviewBack.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("leaveReviewPosition");
+  });
+
+  var sizeSelect = document.querySelector(".size-select");
+
+  sizeSelect.addEventListener("change", function () {
+    self.emit("resize", parseInt(sizeSelect.value, 10));
+  });
+
+  var strategySelect = document.querySelector(".strategy-select");
+
+  strategySelect.addEventListener("change", function () {
+    self.emit("strategy", strategySelect.value);
+  });
+
+  var rolloutInputs = [
+    ".rollout-count", ".rollout-depth", ".rollout-guided"
+  ].map(function (selector) {
+    return document.querySelector(selector);
+  });
+  rolloutInputs.forEach(function (input) {
+    input.addEventListener("change", function () {
+      self.emit("monteCarlo", {
+        rollouts: parseInt(rolloutInputs[0].value, 10),
+        depth: parseInt(rolloutInputs[1].value, 10),
+        guided: rolloutInputs[2].checked
+      });
+    });
+  });
+
+  var searchSelect = document.querySelector(".search-select");
+
+  searchSelect.addEventListener("change", function () {
+    self.emit("searchMode", searchSelect.value);
+  });
+
+  var endgameSelect = document.querySelector(".endgame-select");
+  var endgameThreshold = document.querySelector(".endgame-threshold");
+  var emitEndgame = function () {
+    self.emit("endgame", {
+      objective: endgameSelect.value,
+      threshold: endgameSelect.value === "off" ?
+        0 : parseInt(endgameThreshold.value, 10)
+    });
+  };
+
+  endgameSelect.addEventListener("change", emitEndgame);
+  endgameThreshold.addEventListener("change", emitEndgame);
+
+  var cornerSelect = document.querySelector(".corner-select");
+  var orderSelect = document.querySelector(".order-select");
+  var emitLayout = function () {
+    self.emit("layout", {
+      corner: cornerSelect.value || null,
+      order: orderSelect.value
+    });
+  };
+
+  cornerSelect.addEventListener("change", emitLayout);
+  orderSelect.addEventListener("change", emitLayout);
+
+  var explainToggle = document.querySelector(".explain-toggle");
+
+  explainToggle.addEventListener("change", function () {
+    self.emit("explain", explainToggle.checked);
+  });
+
+  var mirrorToggle = document.querySelector(".mirror-toggle");
+
+  mirrorToggle.addEventListener("change", function () {
+    self.emit("mirror", mirrorToggle.checked);
+  });
+
+  var seedInput = document.querySelector(".seed-input");
+
+  seedInput.addEventListener("change", function () {
+    self.emit("seed", seedInput.value);
+  });
+
+  var newSeedButton = document.querySelector(".new-seed-button");
+
+  newSeedButton.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("newSeed");
+  });
+
+  var boardCodeInput = document.querySelector(".board-code-input");
+
+  // One click selects the whole link, ready to copy
+  var boardLinkInput = document.querySelector(".board-link-input");
+  boardLinkInput.addEventListener("focus", function () {
+    boardLinkInput.select();
+  });
+
+  var boardImportButton = document.querySelector(".board-import-button");
+
+  boardImportButton.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("importBoard", boardCodeInput.value);
+  });
+
+  var boardExportButton = document.querySelector(".board-export-button");
+
+  boardExportButton.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("exportBoard");
+  });
+
+  // Screenshots of the game can be pasted anywhere or dropped on the board
+  var imageFile = function (files) {
+    for (var i = 0; i < files.length; i++) {
+      if (/^image\//.test(files[i].type)) return files[i];
+    }
+    return null;
+  };
+
+  document.addEventListener("paste", function (event) {
+    var data = event.clipboardData;
+    var file = data && imageFile(data.files);
+    if (file) {
+      event.preventDefault();
+      self.emit("screenshot", file);
+    }
+  });
+
+  gameContainer.addEventListener("dragover", function (event) {
+    event.preventDefault();
+  });
+
+  gameContainer.addEventListener("drop", function (event) {
+    var file = event.dataTransfer && imageFile(event.dataTransfer.files);
+    if (file) {
+      event.preventDefault();
+      self.emit("screenshot", file);
+    }
+  });
+
+  window.addEventListener("hashchange", function () {
+    var code = self.hashBoardCode();
+    if (code) self.emit("importBoard", code);
+  });
+
+  // Last chance to write the session before the page goes away
+  window.addEventListener("pagehide", function () {
+    self.emit("pageHidden");
+  });
+  document.addEventListener("visibilitychange", function () {
+    if (document.visibilityState === "hidden") self.emit("pageHidden");
+  });
+
+  // Keybindings panel: + records the next key for an action, x removes one
+  var keybindingList = document.querySelector(".keybinding-list");
+
+  keybindingList.addEventListener("click", function (event) {
+    var button = event.target.closest("button");
+    if (!button) return;
+    event.preventDefault();
+    var action = button.getAttribute("data-action");
+    if (button.classList.contains("keybinding-add")) {
+      self.recording = action;
+      self.emit("recordBinding", action);
+    } else if (button.classList.contains("keybinding-remove")) {
+      self.emit("unbind", {
+        action: action,
+        combo: button.getAttribute("data-combo")
+      });
+    }
+  });
+
+  var keybindingDefaults = document.querySelector(".keybinding-defaults");
+
+  keybindingDefaults.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.recording = null;
+    self.emit("resetBindings");
+  });
+
+  var profileSelect = document.querySelector(".profile-select");
+
+  profileSelect.addEventListener("change", function () {
+    self.emit("profile", profileSelect.value);
+  });
+
+  var profileSave = document.querySelector(".profile-save");
+
+  profileSave.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("saveProfile", self.readProfileEditor());
+  });
+
+  var profileDelete = document.querySelector(".profile-delete");
+
+  profileDelete.addEventListener("click", function (event) {
+    event.preventDefault();
+    self.emit("deleteProfile", profileSelect.value);
+  });
+
+  // Cells under the mouse take digit keys, right-click steps a tile down
+  gameContainer.addEventListener("mouseover", function (event) {
+    self.hoveredCell = self.cellPosition(event.target);
+  });
+
+  gameContainer.addEventListener("mouseleave", function () {
+    self.hoveredCell = null;
+  });
+
+  gameContainer.addEventListener("contextmenu", function (event) {
+    var cell = self.cellPosition(event.target);
+    if (cell) {
+      event.preventDefault();
+      self.emit("stepDown", cell);
+    }
+  });
+
+  // A long press steps down too; the click that ends it is swallowed so it
+  // doesn't also upgrade the tile again
+  handler.on("hold", function (event) {
+    var cell = self.cellPosition(event.target);
+    if (!cell) return;
+    self.emit("stepDown", cell);
+
+    var swallow = function (clickEvent) {
+      clickEvent.stopPropagation();
+      gameContainer.removeEventListener("click", swallow, true);
+    };
+    gameContainer.addEventListener("click", swallow, true);
+    setTimeout(function () {
+      gameContainer.removeEventListener("click", swallow, true);
+    }, 1000);
+  });
+
+  document.querySelectorAll(".value-picker button").forEach(function (button) {
+    button.addEventListener("click", function (event) {
+      event.preventDefault();
+      self.emit("pickValue", Number(button.getAttribute("data-exponent")));
+    });
+  });
+
+  document.addEventListener("click", function (event) {
+    if (!event.target.closest(".value-picker, .grid-cell, .tile")) {
+      self.emit("closePicker");
+    }
+  });
+
   handler.on("swipe", function (event) {
     event.gesture.preventDefault();
-    mapped = gestures.indexOf(event.gesture.direction);
+    var mapped = gestures.indexOf(event.gesture.direction);
 
     if (mapped !== -1) self.emit("move", mapped);
   });
 };
 
+KeyboardInputManager.prototype.setBindings = function (bindings) {
+  this.bindings = bindings;
+  this.keyMap = Keybindings.lookup(bindings);
+};
+
+// Keys for tile levels 0 (empty) to 11 (2048)
+KeyboardInputManager.prototype.levelKeys = "0123456789ab".split("");
+
+// Board position of a grid cell or tile element, or null
+KeyboardInputManager.prototype.cellPosition = function (element) {
+  var cell = element.closest && element.closest(".grid-cell, .tile");
+  if (!cell) return null;
+  return {
+    x: Number(cell.getAttribute("data-x")),
+    y: Number(cell.getAttribute("data-y"))
+  };
+};
+
+// Collects the profile editor fields into a profile object
+KeyboardInputManager.prototype.readProfileEditor = function () {
+  var name = document.querySelector(".profile-name").value.trim();
+  var profile = { name: name, label: name, weights: {}, exponents: {} };
+
+  document.querySelectorAll(".profile-fields input").forEach(function (input) {
+    var group = input.getAttribute("data-group");
+    var key = input.getAttribute("data-key");
+    if (group) {
+      profile[group][key] = input.value;
+    } else {
+      profile[key] = input.value;
+    }
+  });
+  return profile;
+};
+
+KeyboardInputManager.prototype.isTextEntry = function (element) {
+  if (element.tagName === "TEXTAREA") return true;
+  return element.tagName === "INPUT" &&
+    /^(text|number|search)$/.test(element.type);
+};
+
+// Board code from a "#board=<code>" page URL, or null
+KeyboardInputManager.prototype.hashBoardCode = function () {
+  var match = /^#board=(.*)$/.exec(window.location.hash);
+  if (!match) return null;
+  // Read once: left in the URL, a reload would import it over the saved
+  // session. replaceState doesn't fire hashchange.
+  if (window.history && window.history.replaceState) {
+    var location = window.location;
+    window.history.replaceState(null, "", location.pathname + location.search);
+  }
+  return decodeURIComponent(match[1]);
+};
+
 KeyboardInputManager.prototype.restart = function (event) {
   event.preventDefault();
   this.emit("restart");
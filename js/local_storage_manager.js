@@ -0,0 +1,96 @@
+// In-memory stand-in when localStorage is disabled (private windows, file
+// pages in some browsers): the session just doesn't survive a reload
+window.fakeStorage = {
+  _data: {},
+
+  setItem: function (id, val) {
+    return this._data[id] = String(val);
+  },
+
+  getItem: function (id) {
+    return this._data.hasOwnProperty(id) ? this._data[id] : null;
+  },
+
+  removeItem: function (id) {
+    return delete this._data[id];
+  },
+
+  clear: function () {
+    return this._data = {};
+  }
+};
+
+/**
+ * Saves the session (board, score, history and settings, as put together by
+ * GameManager.sessionState) so a reload continues where the user left off.
+ * Every saved session carries schemaVersion; older ones are upgraded step by
+ * step through `migrations` when read, newer ones are ignored.
+ */
+function LocalStorageManager() {
+  this.sessionKey = "gala-helper.session";
+
+  var supported = this.localStorageSupported();
+  this.storage = supported ? window.localStorage : window.fakeStorage;
+}
+
+LocalStorageManager.schemaVersion = 2;
+
+// migrations[n] turns a version n session into a version n + 1 one. Bump
+// schemaVersion and add an entry here whenever the session format changes.
+LocalStorageManager.migrations = {
+  // Version 2 keeps the move log for the game review; older games have none
+  1: function (data) {
+    return Object.assign({}, data, { version: 2, moveLog: [] });
+  }
+};
+
+LocalStorageManager.prototype.localStorageSupported = function () {
+  var testKey = "test";
+  try {
+    var storage = window.localStorage;
+    storage.setItem(testKey, "1");
+    storage.removeItem(testKey);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+LocalStorageManager.prototype.getSession = function () {
+  var json = this.storage.getItem(this.sessionKey);
+  if (!json) return null;
+  try {
+    return this.migrate(JSON.parse(json));
+  } catch (e) {
+    console.warn("Ignoring unreadable saved session:", e.message);
+    return null;
+  }
+};
+
+LocalStorageManager.prototype.setSession = function (session) {
+  session = Object.assign({}, session, {
+    version: LocalStorageManager.schemaVersion
+  });
+  try {
+    this.storage.setItem(this.sessionKey, JSON.stringify(session));
+  } catch (e) {
+    console.warn("Could not save the session:", e.message);
+  }
+};
+
+LocalStorageManager.prototype.clearSession = function () {
+  this.storage.removeItem(this.sessionKey);
+};
+
+LocalStorageManager.prototype.migrate = function (data) {
+  var version = data.version;
+  var known = version >= 1 && version <= LocalStorageManager.schemaVersion;
+  if (!known) {
+    throw new Error("unknown schema version " + version);
+  }
+  while (version < LocalStorageManager.schemaVersion) {
+    data = LocalStorageManager.migrations[version](data);
+    version = data.version;
+  }
+  return data;
+};
@@ -0,0 +1,166 @@
+/**
+ * Rollout-based strategy: plays every legal move followed by random games
+ * and picks the move whose games score best on average. A rollout is `depth`
+ * moves long, or shorter when the game ends; its value is the score its
+ * merges earn, so games that die early count for little. Guided rollouts
+ * play the move that leaves the most empty cells half of the time, which
+ * keeps them from dying of pure clumsiness.
+ * Rollouts go round-robin over the candidate moves until each has `rollouts`
+ * of them or the time budget runs out (after at least one round).
+ * options.seed seeds the rollouts, so a benchmark can be replayed; without
+ * it every AI gets a random seed.
+ */
+function MonteCarloAI(grid, options) {
+  var seed = options && options.seed !== undefined ?
+    options.seed : SeededRandom.randomSeed();
+  this.grid     = grid;
+  this.settings = Object.assign({}, MonteCarloAI.defaults);
+  this.random   = new SeededRandom(seed);
+  this.danger   = new DangerEstimator();
+  this.layout   = BoardLayout.normalize(null);
+  if (options) this.configure(options);
+}
+
+MonteCarloAI.defaults = {
+  rollouts: 100, // games per candidate move
+  depth: 20,     // moves per game
+  guided: true
+};
+
+// Guided rollouts pick the roomiest move this often, a random one otherwise
+MonteCarloAI.guideChance = 0.5;
+
+MonteCarloAI.prototype.setGrid = function (grid) {
+  this.grid = grid;
+};
+
+// options.monteCarlo: { rollouts, depth, guided }; missing ones keep the
+// defaults. options.layout only marks the moves that dislodge its anchored
+// tile: rollouts are scored on merges alone.
+MonteCarloAI.prototype.configure = function (options) {
+  this.settings = Object.assign({}, MonteCarloAI.defaults, options.monteCarlo);
+  this.layout = BoardLayout.normalize(options.layout);
+};
+
+// Same result shape as SmartAI.getBest. `depth` is 0 (there is no search
+// tree); `rollouts` is how many games each move got.
+MonteCarloAI.prototype.getBest = function (options) {
+  options = options || {};
+  var board = Bitboard.fromGrid(this.grid);
+  var deadline = options.timeLimit !== undefined ?
+    Date.now() + options.timeLimit : Infinity;
+  var candidates = [];
+  var moves = [];
+
+  for (var d = 0; d < 4; d++) {
+    var result = Bitboard.move(board, d);
+    moves.push({
+      direction: d,
+      legal: result.moved,
+      score: null,
+      forcedLoss: false,
+      dislodgesAnchor: result.moved &&
+        BoardLayout.dislodges(board, result.board, this.layout)
+    });
+    if (result.moved) {
+      candidates.push({ direction: d, result: result, total: 0 });
+    }
+  }
+
+  var rounds = 0;
+  while (candidates.length && rounds < this.settings.rollouts &&
+         (rounds === 0 || Date.now() < deadline)) {
+    for (var i = 0; i < candidates.length; i++) {
+      var candidate = candidates[i];
+      candidate.total += candidate.result.score +
+        this.rollout(candidate.result.board);
+    }
+    rounds++;
+  }
+
+  var best = -1;
+  var self = this;
+  candidates.forEach(function (candidate) {
+    var move = moves[candidate.direction];
+    move.score = candidate.total / rounds;
+    if (options.danger) {
+      move.danger = self.danger.estimate(candidate.result.board);
+    }
+    if (best === -1 || move.score > moves[best].score) {
+      best = candidate.direction;
+    }
+  });
+
+  return {
+    move: best,
+    depth: 0,
+    rollouts: rounds,
+    solved: null,
+    moves: moves,
+    score: 0,
+    positions: rounds * candidates.length * this.settings.depth,
+    cutoffs: 0,
+    cacheHits: 0,
+    cacheMisses: 0
+  };
+};
+
+// Score earned by one random continuation of `board` (just moved, spawn due)
+MonteCarloAI.prototype.rollout = function (board) {
+  var total = 0;
+  for (var step = 0; step < this.settings.depth; step++) {
+    board = this.spawn(board);
+    var result = this.pickMove(board);
+    if (!result) break; // game over
+    board = result.board;
+    total += result.score;
+  }
+  return total;
+};
+
+// Same odds as Grid.addRandomTile
+MonteCarloAI.prototype.spawn = function (board) {
+  var size = board.length;
+  var cells = [];
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (!Bitboard.exponent(board, x, y)) cells.push(x * size + y);
+    }
+  }
+  if (!cells.length) return board;
+
+  var cell = cells[Math.floor(this.random.next() * cells.length)];
+  var exponent = this.random.next() < Grid.prototype.twoProbability ? 1 : 2;
+  return Bitboard.withExponent(board, Math.floor(cell / size), cell % size,
+                               exponent);
+};
+
+// A random legal move, or while guided sometimes the roomiest one; null
+// when nothing moves
+MonteCarloAI.prototype.pickMove = function (board) {
+  var legal = [];
+  for (var d = 0; d < 4; d++) {
+    var result = Bitboard.move(board, d);
+    if (result.moved) legal.push(result);
+  }
+  if (!legal.length) return null;
+
+  if (this.settings.guided && this.random.next() < MonteCarloAI.guideChance) {
+    var best = legal[0];
+    for (var i = 1; i < legal.length; i++) {
+      var roomier = Bitboard.emptyCount(legal[i].board) >
+        Bitboard.emptyCount(best.board);
+      if (roomier) best = legal[i];
+    }
+    return best;
+  }
+  return legal[Math.floor(this.random.next() * legal.length)];
+};
+
+AIRegistry.register('montecarlo', {
+  label: 'Monte Carlo rollouts',
+  settings: ['monteCarlo', 'layout'],
+  create: function (grid, options) {
+    return new MonteCarloAI(grid, options);
+  }
+});
@@ -0,0 +1,52 @@
+// Deterministic random numbers for tile spawns (mulberry32). The whole state
+// is one 32-bit integer, so a generator is cheap to copy along with a grid
+// and two generators built from the same seed produce the same sequence in
+// the browser and in Node.
+function SeededRandom(seed) {
+  this.seed  = seed >>> 0;
+  this.state = this.seed;
+}
+
+// Returns a float in [0, 1), like Math.random
+SeededRandom.prototype.next = function () {
+  this.state = (this.state + 0x6D2B79F5) >>> 0;
+  var t = this.state;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+SeededRandom.prototype.clone = function () {
+  var copy = new SeededRandom(this.seed);
+  copy.state = this.state;
+  return copy;
+};
+
+SeededRandom.randomSeed = function () {
+  return Math.floor(Math.random() * 4294967296);
+};
+
+// Seeds typed by a user: whole numbers are used as they are, anything else
+// (a word, a date) is hashed with FNV-1a
+SeededRandom.parseSeed = function (text) {
+  text = String(text).trim();
+  if (/^\d+$/.test(text)) return Number(text) >>> 0;
+
+  var hash = 0x811C9DC5;
+  for (var i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// Plain-object copy of the generator, to store next to a serialized grid
+SeededRandom.prototype.serialize = function () {
+  return { seed: this.seed, state: this.state };
+};
+
+SeededRandom.fromState = function (state) {
+  var random = new SeededRandom(state.seed);
+  random.state = state.state >>> 0;
+  return random;
+};
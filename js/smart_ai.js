@@ -10,14 +10,16 @@ Goal.prototype = {
   type: GoalType.UNDEFINED
 };
 
-SmartAI = function(game) {
+// profile: one of AIProfiles (weights, exponents, maxDepth); defaults to the
+// 2048-stacking profile
+SmartAI = function(game, profile) {
   // If passed a grid directly (classic AI style), create minimal game interface
   if (game.size !== undefined) { // Check if it's a grid object
     const grid = game;
     this.game = {
       grid: grid,
       moveTiles: function(direction) {
-        var clonedGrid = grid.clone();
+        var clonedGrid = this.grid.clone();
         if (clonedGrid.move(direction).moved) {
           return true;
         }
@@ -32,9 +34,10 @@ SmartAI = function(game) {
         };
         return map[direction];
       },
-      buildTraversals: function(vector) {
+      buildTraversals: function(vector, size) {
         var traversals = { x: [], y: [] };
-        for (var pos = 0; pos < grid.size; pos++) {
+        size = size || this.grid.size;
+        for (var pos = 0; pos < size; pos++) {
           traversals.x.push(pos);
           traversals.y.push(pos);
         }
@@ -46,24 +49,192 @@ SmartAI = function(game) {
   } else {
     this.game = game;
   }
+  this.searchMode = SearchMode.MINIMAX;
+  this.profile = profile || AIProfiles.builtIn[AIProfiles.defaultName];
+  // Kept for the whole game: consecutive hints share most of their subtrees
+  this.table = new TranspositionTable(this.tableSize);
+  this.stats = { positions: 0, cutoffs: 0 };
+  this.danger = new DangerEstimator();
 };
 
-SmartAI.prototype.nextMove = function() {
-  // Uses depth-5 search for move evaluation
-  return this.chooseBestMove2(this.game.grid, 5);
+// Minimax treats spawns as an adversary, expectimax weights them by the real
+// odds
+SearchMode = { MINIMAX: 'minimax', EXPECTIMAX: 'expectimax' };
+
+// Expectimax stops expanding branches that are less likely than this
+SmartAI.prototype.minProbability = 0.002;
+
+// Maximum number of positions kept in the transposition table
+SmartAI.prototype.tableSize = 100000;
+
+// Search options from the page (see AIRegistry): profile, searchMode,
+// endgame, layout
+SmartAI.prototype.configure = function(options) {
+  if (options.profile) this.setProfile(options.profile);
+  if (options.searchMode) this.setSearchMode(options.searchMode);
+  if (options.endgame) this.setEndgame(options.endgame);
+  if (options.layout) this.setLayout(options.layout);
+};
+
+// Positions with at most `threshold` empty cells go to the EndgameSolver
+// instead of the heuristic search; a threshold of 0 turns it off
+SmartAI.prototype.endgame = {
+  threshold: 3,
+  objective: EndgameObjective.SURVIVAL
+};
+
+// EndgameSolver budget when getBest has no time limit (a depth-limited
+// search); a node count keeps such runs reproducible
+SmartAI.prototype.endgameNodeLimit = 20000;
+
+SmartAI.prototype.setEndgame = function(endgame) {
+  this.endgame = endgame;
+};
+
+SmartAI.prototype.setSearchMode = function(mode) {
+  mode = mode === SearchMode.EXPECTIMAX ?
+    SearchMode.EXPECTIMAX : SearchMode.MINIMAX;
+  // Minimax and expectimax values are not comparable, so start a fresh table
+  if (mode !== this.searchMode) this.table.clear();
+  this.searchMode = mode;
 };
 
-SmartAI.prototype.chooseBestMove2 = function(grid, numMoves) {
+// Values cached under other weights would be wrong, so a new profile starts
+// a fresh transposition table
+SmartAI.prototype.setProfile = function(profile) {
+  if (JSON.stringify(profile) === JSON.stringify(this.profile)) return;
+  this.profile = profile;
+  this.table.clear();
+};
+
+// Anchor corner and tile order the evaluation rewards (see BoardLayout); no
+// corner leaves the layout term at 0
+SmartAI.prototype.layout = BoardLayout.normalize(null);
+
+SmartAI.prototype.setLayout = function(layout) {
+  layout = BoardLayout.normalize(layout);
+  if (layout.corner === this.layout.corner &&
+      layout.order === this.layout.order) {
+    return;
+  }
+  this.layout = layout;
+  this.table.clear();
+};
+
+// Hash of the tiles plus whose turn it is, used as the transposition table key
+SmartAI.prototype.boardKey = function(board, maximizing) {
+  return (maximizing ? 'M' : 'C') + Bitboard.key(board);
+};
+
+// Results of a search cut short by the deadline are not trustworthy
+SmartAI.prototype.storeResult = function(key, value, numMoves, alpha, beta,
+                                         probability) {
+  if (this.timedOut) return;
+  var bound = TableBound.EXACT;
+  if (value <= alpha) bound = TableBound.UPPER;
+  else if (value >= beta) bound = TableBound.LOWER;
+  this.table.set(key, value, numMoves, bound, probability);
+};
+
+// Default search budget in milliseconds when getBest is not given one
+SmartAI.prototype.timeLimit = 100;
+
+// Points the AI at another board without dropping the transposition table
+SmartAI.prototype.setGrid = function(grid) {
+  this.game.grid = grid;
+};
+
+// Searches one ply deeper at a time until the time budget runs out and keeps
+// the move from the deepest search that finished, never going past the
+// profile's maxDepth. Depth 1 always completes so there is a move even when
+// the budget is tiny.
+// The search runs on a bitboard; the Grid is only read once, here.
+// onProgress, if given, is called with { depth, move } after every finished
+// depth.
+SmartAI.prototype.nextMove = function(timeLimit, onProgress) {
+  var board = Bitboard.fromGrid(this.game.grid);
+  var start = Date.now();
+  var best = { direction: -1, depth: 0, values: null };
+
+  this.deadline = null;
+  this.timedOut = false;
+  this.nodeCount = 0;
+
+  for (var depth = 1; depth <= this.profile.maxDepth; depth++) {
+    var values = [];
+    var direction = this.chooseBestMove2(board, depth, values);
+    if (this.timedOut || direction == -1) break;
+
+    best.direction = direction;
+    best.depth = depth;
+    best.values = values;
+    if (onProgress) onProgress({ depth: depth, move: direction });
+    this.deadline = start + timeLimit;
+    if (Date.now() >= this.deadline) break;
+  }
+
+  this.deadline = null;
+  return best;
+};
+
+// Exact result for a nearly full board, in the shape nextMove returns plus
+// the solver's outcomes; null when the board is roomier than the threshold
+// or the solver ran out of time
+SmartAI.prototype.solveEndgame = function(board, timeLimit) {
+  var endgame = this.endgame;
+  if (!endgame || !endgame.threshold ||
+      Bitboard.emptyCount(board) > endgame.threshold) {
+    return null;
+  }
+
+  var options = { objective: endgame.objective };
+  // Without a clock the search is bounded by depth alone: the solver looks
+  // no more spawns ahead than the search would, on a node budget of its own
+  if (!isFinite(timeLimit)) {
+    options.maxSpawns = Math.floor(this.profile.maxDepth / 2);
+    options.nodeLimit = this.endgameNodeLimit;
+    if (options.maxSpawns < EndgameSolver.defaults.minSpawns) return null;
+  }
+
+  var solver = new EndgameSolver(options);
+  var solution = solver.solve(board, Date.now() + timeLimit);
+  if (!solution) return null;
+
+  return {
+    direction: solution.direction,
+    depth: solution.spawns,
+    values: solution.outcomes.map(function(outcome) {
+      return outcome ? solver.value(outcome) : null;
+    }),
+    outcomes: solution.outcomes
+  };
+};
+
+// Checks the clock every 64 nodes; once the deadline passes the running
+// search unwinds and its result is thrown away
+SmartAI.prototype.outOfTime = function() {
+  if (!this.timedOut && this.deadline &&
+      (++this.nodeCount & 63) === 0 && Date.now() > this.deadline) {
+    this.timedOut = true;
+  }
+  return this.timedOut;
+};
+
+// values, if given, receives the search value of every direction
+// (null for directions that don't move anything)
+SmartAI.prototype.chooseBestMove2 = function(board, numMoves, values) {
   var value = -Infinity;
   var direction = -1;
-  var availableCells = grid.availableCells();
 
   for (var d = 0; d < 4; d++) {
-    var testGrid = grid.clone();
-    var moved = testGrid.move(d).moved;
-    if (!moved) continue;
+    var result = Bitboard.move(board, d);
+    if (values) values[d] = null;
+    if (!result.moved) continue;
     if (direction == -1) direction = d;
-    var value2 = this.planAhead(testGrid, numMoves, -Infinity, Infinity, false);
+    var value2 = this.searchMode === SearchMode.EXPECTIMAX ?
+      this.expectimax(result.board, numMoves, 1, false) :
+      this.planAhead(result.board, numMoves, -Infinity, Infinity, false);
+    if (values) values[d] = value2;
     if (value2 > value) {
       direction = d;
       value = value2;
@@ -73,77 +244,201 @@ SmartAI.prototype.chooseBestMove2 = function(grid, numMoves) {
 };
 
 // Minimax algorithm with alpha-beta pruning for looking ahead
-SmartAI.prototype.planAhead = function(grid, numMoves, alpha, beta, maximizing) {
-  if (!this.movesAvailable(grid) || numMoves == 0) {
-    return this.gridQuality(grid);
+SmartAI.prototype.planAhead = function(board, numMoves, alpha, beta,
+                                       maximizing) {
+  if (this.outOfTime()) return 0;
+  this.stats.positions++;
+  if (!this.movesAvailable(board) || numMoves == 0) {
+    return this.boardQuality(board);
   }
 
-  var availableCells = grid.availableCells();
+  var key = this.boardKey(board, maximizing);
+  var entry = this.table.get(key, numMoves);
+  if (entry) {
+    if (entry.bound === TableBound.EXACT) return entry.value;
+    if (entry.bound === TableBound.LOWER) alpha = Math.max(alpha, entry.value);
+    else beta = Math.min(beta, entry.value);
+    if (alpha >= beta) {
+      this.stats.cutoffs++;
+      return entry.value;
+    }
+  }
+
+  var alphaOrig = alpha, betaOrig = beta;
+  var size = board.length;
   var value;
 
   if (maximizing) {
     value = -Infinity;
     for (var d = 0; d < 4; d++) {
-      var testGrid = grid.clone();
-      if (!testGrid.move(d).moved) continue;
-      value = Math.max(value, this.planAhead(testGrid, numMoves-1, alpha, beta, false));
-      if (value > beta) break;
+      var result = Bitboard.move(board, d);
+      if (!result.moved) continue;
+      value = Math.max(value,
+        this.planAhead(result.board, numMoves-1, alpha, beta, false));
+      if (value > beta) {
+        this.stats.cutoffs++;
+        break;
+      }
       alpha = Math.max(alpha, value);
     }
-    return value;
   } else {
     value = Infinity;
-    for (var i = 0; i < availableCells.length; i++) {
-      var cell = availableCells[i];
-
-      if (!this.hasAdjacentTile(grid, cell)) continue;
+    // Same cell order as Grid.availableCells: column by column
+    for (var i = 0; i < size * size; i++) {
+      var x = Math.floor(i / size), y = i % size;
+      if (Bitboard.exponent(board, x, y)) continue;
+      if (!this.hasAdjacentTile(board, x, y)) continue;
 
       // Try placing a 2
-      var testGrid = grid.clone();
-      testGrid.insertTile(new Tile(cell, 2));
-      value = Math.min(value, this.planAhead(testGrid, numMoves-1, alpha, beta, true));
-      if (value < alpha) break;
+      value = Math.min(value,
+        this.planAhead(Bitboard.withExponent(board, x, y, 1),
+          numMoves-1, alpha, beta, true));
+      if (value < alpha) {
+        this.stats.cutoffs++;
+        break;
+      }
       beta = Math.min(beta, value);
 
       // Try placing a 4
-      testGrid = grid.clone();
-      testGrid.insertTile(new Tile(cell, 4));
-      value = Math.min(value, this.planAhead(testGrid, numMoves-1, alpha, beta, true));
-      if (value < alpha) break;
+      value = Math.min(value,
+        this.planAhead(Bitboard.withExponent(board, x, y, 2),
+          numMoves-1, alpha, beta, true));
+      if (value < alpha) {
+        this.stats.cutoffs++;
+        break;
+      }
       beta = Math.min(beta, value);
     }
+  }
+
+  this.storeResult(key, value, numMoves, alphaOrig, betaOrig);
+  return value;
+};
+
+// Expectimax search: spawns are chance nodes over every empty cell, weighted
+// by the 2/4 odds of Grid.addRandomTile. Branches whose probability of being
+// reached drops below minProbability are scored by the heuristic directly.
+SmartAI.prototype.expectimax = function(board, numMoves, probability,
+                                        maximizing) {
+  if (this.outOfTime()) return 0;
+  this.stats.positions++;
+  if (!this.movesAvailable(board) || numMoves == 0 ||
+      probability < this.minProbability) {
+    return this.boardQuality(board);
+  }
+
+  var key = this.boardKey(board, maximizing);
+  var entry = this.table.get(key, numMoves, probability);
+  if (entry) return entry.value;
+
+  if (maximizing) {
+    var value = -Infinity;
+    for (var d = 0; d < 4; d++) {
+      var result = Bitboard.move(board, d);
+      if (!result.moved) continue;
+      value = Math.max(value,
+        this.expectimax(result.board, numMoves-1, probability, false));
+    }
+    this.storeResult(key, value, numMoves, -Infinity, Infinity, probability);
     return value;
   }
+
+  var size = board.length;
+  var twoProbability = Grid.prototype.twoProbability;
+  var cellProbability = probability / Bitboard.emptyCount(board);
+  var total = 0;
+  var cells = 0;
+
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (Bitboard.exponent(board, x, y)) continue;
+      cells++;
+
+      total += twoProbability *
+        this.expectimax(Bitboard.withExponent(board, x, y, 1), numMoves-1,
+          cellProbability * twoProbability, true);
+
+      total += (1 - twoProbability) *
+        this.expectimax(Bitboard.withExponent(board, x, y, 2), numMoves-1,
+          cellProbability * (1 - twoProbability), true);
+    }
+  }
+  total /= cells;
+  this.storeResult(key, total, numMoves, -Infinity, Infinity, probability);
+  return total;
 };
 
-SmartAI.prototype.hasAdjacentTile = function(grid, cell) {
-  var vectors = [
-    {x: 0, y: -1},
-    {x: 1, y: 0},
-    {x: 0, y: 1},
-    {x: -1, y: 0}
-  ];
-
-  for (var i = 0; i < vectors.length; i++) {
-    var adjCell = {
-      x: cell.x + vectors[i].x,
-      y: cell.y + vectors[i].y
-    };
-    if (grid.cellContent(adjCell)) {
-      return true;
+SmartAI.prototype.hasAdjacentTile = function(board, x, y) {
+  var size = board.length;
+  return (y > 0 && Bitboard.exponent(board, x, y - 1) !== 0) ||
+         (x < size - 1 && Bitboard.exponent(board, x + 1, y) !== 0) ||
+         (y < size - 1 && Bitboard.exponent(board, x, y + 1) !== 0) ||
+         (x > 0 && Bitboard.exponent(board, x - 1, y) !== 0);
+};
+
+SmartAI.prototype.movesAvailable = function(board) {
+  return Bitboard.canMove(board);
+};
+
+// How many of our own moves ahead forcedLoss looks
+SmartAI.prototype.forcedLossDepth = 2;
+
+// True when the board (right after our move, before the spawn) is lost
+// whatever spawns: every 2 or 4 in every empty cell leaves a position where
+// no sequence of `depth` moves keeps the game going
+SmartAI.prototype.forcedLoss = function(board, depth) {
+  if (!Bitboard.emptyCount(board)) return !this.survives(board, depth);
+
+  var size = board.length;
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (Bitboard.exponent(board, x, y)) continue;
+      if (this.survives(Bitboard.withExponent(board, x, y, 1), depth) ||
+          this.survives(Bitboard.withExponent(board, x, y, 2), depth)) {
+        return false;
+      }
     }
   }
+  return true;
+};
+
+// True when the player to move can keep going for `depth` more moves
+SmartAI.prototype.survives = function(board, depth) {
+  if (!this.movesAvailable(board)) return false;
+  if (depth === 0) return true;
+  for (var d = 0; d < 4; d++) {
+    var result = Bitboard.move(board, d);
+    if (result.moved && !this.forcedLoss(result.board, depth - 1)) return true;
+  }
   return false;
 };
 
-SmartAI.prototype.movesAvailable = function(grid) {
+// One entry per direction for the ranked hint list. With `explain` each
+// legal move also carries the evaluation breakdown of the board it leaves,
+// with `danger` its DangerEstimator risk. dislodgesAnchor marks moves that
+// take the biggest tile out of the layout's anchor corner.
+SmartAI.prototype.rankMoves = function(board, values, explain, danger) {
+  var moves = [];
   for (var d = 0; d < 4; d++) {
-    var testGrid = grid.clone();
-    if (testGrid.move(d).moved) {
-      return true;
+    var result = Bitboard.move(board, d);
+    var move = {
+      direction: d,
+      legal: result.moved,
+      score: values && values[d] !== null ? values[d] : null,
+      forcedLoss: result.moved &&
+        this.forcedLoss(result.board, this.forcedLossDepth),
+      dislodgesAnchor: result.moved &&
+        BoardLayout.dislodges(board, result.board, this.layout)
+    };
+    if (explain) {
+      move.breakdown = result.moved ? this.explain(result.board) : null;
+    }
+    if (danger) {
+      move.danger = result.moved ? this.danger.estimate(result.board) : null;
     }
+    moves.push(move);
   }
-  return false;
+  return moves;
 };
 
 // Gets the quality of the current state of the grid
@@ -152,8 +447,34 @@ SmartAI.prototype.movesAvailable = function(grid) {
 // - Encourages stacking 2048+ tiles by rewarding adjacent placement
 // - Maintains separate scoring for sub-2048 tiles to preserve normal gameplay
 SmartAI.prototype.gridQuality = function(grid) {
+  return this.boardQuality(Bitboard.fromGrid(grid));
+};
+
+// Same evaluation on a bitboard, which is what the search works with.
+// The weight of each term comes from the profile.
+SmartAI.prototype.boardQuality = function(board) {
+  var components = this.qualityComponents(board);
+  var weights = this.profile.weights;
+
+  // Final score calculation with weights adjusted for 2048+ strategy
+  return weights.monotonicity * components.monotonicity +
+         weights.empty * components.empty +
+         weights.merges * components.merges +
+         weights.sum * components.sum +
+         weights.maxTiles * components.maxTiles +
+         weights.stacking * components.stacking +
+         weights.layout * components.layout +
+         weights.deadBoard * components.deadBoard;
+};
+
+// The unweighted terms of the evaluation. Tile values are read as exponents:
+// 11 is a 2048 tile.
+SmartAI.prototype.qualityComponents = function(board) {
+  var exponents = this.profile.exponents;
+  var size = board.length;
+  var cap = Bitboard.maxExponent;
   var monoScore = 0;
-  var traversals = this.game.buildTraversals({x: -1, y: 0});
+  var traversals = this.game.buildTraversals({x: -1, y: 0}, size);
   var prevValue = -1;
   var incScore = 0, decScore = 0;
   var prevMerge = -1;
@@ -164,12 +485,16 @@ SmartAI.prototype.gridQuality = function(grid) {
   var twentyFortyEightCount = 0;  // Tracks number of 2048+ tiles
   var twentyFortyEightAlignment = 0;  // Rewards for adjacent 2048+ tiles
 
+  var exponentAt = function(cell) {
+    if (cell.x < 0 || cell.y < 0 || cell.x >= size || cell.y >= size) return 0;
+    return Bitboard.exponent(board, cell.x, cell.y);
+  };
+
   var scoreCell = function(cell) {
-    var tile = grid.cellContent(cell);
-    var tileValue = (tile ? Math.log2(tile.value) : 0);
+    var tileValue = exponentAt(cell);
     
     // Special handling for 2048+ tiles
-    if (tile && tile.value >= 2048) {
+    if (tileValue >= cap) {
       twentyFortyEightCount++;
       // Check and reward adjacent 2048+ tiles to encourage stacking
       var vectors = [
@@ -183,9 +508,8 @@ SmartAI.prototype.gridQuality = function(grid) {
           x: cell.x + vectors[i].x,
           y: cell.y + vectors[i].y
         };
-        var adjTile = grid.cellContent(adjCell);
-        if (adjTile && adjTile.value >= 2048) {
-          twentyFortyEightAlignment += 1000; // High reward for stacking 2048+ tiles
+        if (exponentAt(adjCell) >= cap) {
+          twentyFortyEightAlignment++; // High reward for stacking 2048+ tiles
         }
       }
     }
@@ -194,15 +518,15 @@ SmartAI.prototype.gridQuality = function(grid) {
       emptyScore++;
     } else {
       // Different scoring for tiles below and above 2048
-      if (tile.value < 2048) {
-        sumScore += Math.pow(tileValue, 3.5);
+      if (tileValue < cap) {
+        sumScore += Math.pow(tileValue, exponents.sum);
       } else {
         // Reduced power for 2048+ tiles to maintain their separation
-        sumScore += Math.pow(tileValue, 2.5);
+        sumScore += Math.pow(tileValue, exponents.sumLarge);
       }
       
       // Only count merges for tiles below 2048
-      if (prevMerge == tileValue && tile.value < 2048) {
+      if (prevMerge == tileValue && tileValue < cap) {
         counter++;
       } else if (counter > 0) {
         mergeScore += 1 + counter;
@@ -219,11 +543,13 @@ SmartAI.prototype.gridQuality = function(grid) {
     // Modified monotonicity scoring to handle 2048+ tiles differently
     if (tileValue > prevValue) {
       if (Math.pow(2, prevValue) < 2048 || Math.pow(2, tileValue) < 2048) {
-        incScore += Math.pow(tileValue, 4) - Math.pow(prevValue, 4);
+        incScore += Math.pow(tileValue, exponents.monotonicity) -
+                    Math.pow(prevValue, exponents.monotonicity);
       }
     } else {
       if (Math.pow(2, prevValue) < 2048 || Math.pow(2, tileValue) < 2048) {
-        decScore -= Math.pow(tileValue, 4) - Math.pow(prevValue, 4);
+        decScore -= Math.pow(tileValue, exponents.monotonicity) -
+                    Math.pow(prevValue, exponents.monotonicity);
       }
     }
     prevValue = tileValue;
@@ -257,29 +583,83 @@ SmartAI.prototype.gridQuality = function(grid) {
   });
   if (counter > 0) {mergeScore += 1 + counter;}
 
-  // Final score calculation with weights adjusted for 2048+ strategy
-  var score = -47 * monoScore + 
-              270 * emptyScore + 
-              700 * mergeScore - 
-              11 * sumScore +
-              2000 * twentyFortyEightCount + // Heavy reward for 2048 tiles
-              twentyFortyEightAlignment;      // Reward for stacking
-              
-  if (emptyScore == 0 && mergeScore == 0) {
-    score -= 200000; // Heavy penalty for no moves available
+  return {
+    monotonicity: monoScore,
+    empty: emptyScore,
+    merges: mergeScore,
+    sum: sumScore,
+    maxTiles: twentyFortyEightCount,
+    stacking: twentyFortyEightAlignment,
+    layout: BoardLayout.score(board, this.layout, exponents.monotonicity),
+    deadBoard: emptyScore == 0 && mergeScore == 0 ? 1 : 0
+  };
+};
+
+// Per-term breakdown of boardQuality, unweighted and weighted
+SmartAI.prototype.explain = function(board) {
+  var components = this.qualityComponents(board);
+  var weights = this.profile.weights;
+  var terms = {};
+  for (var name in weights) {
+    terms[name] = {
+      value: components[name],
+      weight: weights[name],
+      weighted: weights[name] * components[name]
+    };
   }
-  
-  return score;
+  return { terms: terms, total: this.boardQuality(board) };
 };
 
 // Classic AI interface methods
-SmartAI.prototype.getBest = function() {
-  var direction = this.nextMove();
+// options.timeLimit: search budget in milliseconds (defaults to this.timeLimit)
+// options.onProgress: called after each finished depth of the search
+// options.explain: add the evaluation breakdown to every entry of `moves`
+// options.danger: add the chance each move loses within a few spawns
+// Nearly full boards are solved exactly (see solveEndgame) with half the
+// budget: `solved` then names the objective and how many spawns ahead the
+// result is exact, `depth` is that number of spawns and every move has its
+// `outcome`. Moves the solver rates equal are left to the heuristic search.
+SmartAI.prototype.getBest = function(options) {
+  options = options || {};
+  var timeLimit = options.timeLimit !== undefined ?
+    options.timeLimit : this.timeLimit;
+  this.stats.positions = 0;
+  this.stats.cutoffs = 0;
+  this.table.resetStats();
+
+  var board = Bitboard.fromGrid(this.game.grid);
+  var start = Date.now();
+  var solved = this.solveEndgame(board, timeLimit / 2);
+  var remaining = solved ?
+    Math.max(0, timeLimit - (Date.now() - start)) : timeLimit;
+  var best = this.nextMove(remaining, options.onProgress);
+  if (solved) {
+    var values = solved.values;
+    if (best.direction !== -1 && values[best.direction] !== null &&
+        values[best.direction] >= values[solved.direction] - 1e-9) {
+      solved.direction = best.direction;
+    }
+    best = solved;
+  }
+  var moves = this.rankMoves(board, best.values, options.explain,
+                             options.danger);
+  if (best.outcomes) {
+    moves.forEach(function(move) {
+      move.outcome = best.outcomes[move.direction];
+    });
+  }
+
   return {
-    move: direction,
+    move: best.direction,
+    depth: best.depth,
+    solved: best.outcomes ?
+      { objective: this.endgame.objective, spawns: best.depth } : null,
+    moves: moves,
     score: this.gridQuality(this.game.grid),
-    positions: 0,
-    cutoffs: 0
+    positions: this.stats.positions,
+    cutoffs: this.stats.cutoffs,
+    cacheHits: this.table.hits,
+    cacheMisses: this.table.misses
   };
 };
 
@@ -291,3 +671,11 @@ SmartAI.prototype.translate = function(move) {
     3: 'left'
   }[move];
 };
+
+AIRegistry.register('smart', {
+  label: 'Search (SmartAI)',
+  settings: ['profile', 'searchMode', 'endgame', 'layout'],
+  create: function(grid, options) {
+    return new SmartAI(grid, options.profile);
+  }
+});
@@ -16,6 +16,13 @@ Tile.prototype.updatePosition = function (position) {
   this.y = position.y;
 };
 
+Tile.prototype.serialize = function () {
+  return {
+    position: { x: this.x, y: this.y },
+    value: this.value
+  };
+};
+
 Tile.prototype.clone = function() {
   newTile = new Tile({ x: this.x, y: this.y }, this.value);
   //newTile.previousPosition = { x: this.previousPosition.x, y: this.previousPosition.y };
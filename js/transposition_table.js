@@ -0,0 +1,61 @@
+// Cache of searched positions, keyed by a board hash. Each entry keeps the
+// value found, the remaining depth it was searched to and whether the value
+// is exact or only a bound (alpha-beta cuts leave bounds behind). Expectimax
+// also keeps the probability of reaching the position: it prunes unlikely
+// branches, so a value found at a lower probability was searched less.
+// Minimax leaves it at 1.
+TableBound = { EXACT: 0, LOWER: 1, UPPER: 2 };
+
+function TranspositionTable(maxEntries) {
+  this.maxEntries = maxEntries || 100000;
+  this.entries    = new Map();
+  this.hits       = 0;
+  this.misses     = 0;
+}
+
+// Returns the entry for key if it was searched at least `depth` deep, and
+// pruned no more than a search at `probability` would be
+TranspositionTable.prototype.get = function (key, depth, probability) {
+  var entry = this.entries.get(key);
+  var reached = entry && entry.probability >= (probability || 1);
+  if (reached && entry.depth >= depth) {
+    this.hits++;
+    return entry;
+  }
+  this.misses++;
+  return null;
+};
+
+// A result replaces the stored one unless that was searched strictly more
+// thoroughly (deeper, at a higher probability or both). When the table is
+// full the oldest entry goes first (Map keeps insertion order).
+TranspositionTable.prototype.set = function (key, value, depth, bound,
+                                             probability) {
+  probability = probability || 1;
+  var existing = this.entries.get(key);
+  if (existing) {
+    if (existing.depth >= depth && existing.probability >= probability &&
+        (existing.depth > depth || existing.probability > probability)) {
+      return;
+    }
+    this.entries.delete(key);
+  } else if (this.entries.size >= this.maxEntries) {
+    this.entries.delete(this.entries.keys().next().value);
+  }
+  this.entries.set(key, {
+    value: value,
+    depth: depth,
+    bound: bound,
+    probability: probability
+  });
+};
+
+TranspositionTable.prototype.clear = function () {
+  this.entries.clear();
+  this.resetStats();
+};
+
+TranspositionTable.prototype.resetStats = function () {
+  this.hits   = 0;
+  this.misses = 0;
+};
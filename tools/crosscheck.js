@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+// Checks Bitboard.move against Grid.move, the source of truth.
+//
+// Plays every direction on random boards of every size with both and
+// reports any difference in tiles, score or `moved`. Exits with status 1
+// on a mismatch, so run it after touching either implementation.
+//
+//   node tools/crosscheck.js [--trials 3000] [--seed 1]
+
+var fs   = require("fs");
+var path = require("path");
+var vm   = require("vm");
+
+// The game files are plain browser scripts that define globals
+[
+  "seeded_random.js", "grid.js", "tile.js", "bitboard.js"
+].forEach(function (file) {
+  var filename = path.join(__dirname, "..", "js", file);
+  vm.runInThisContext(fs.readFileSync(filename, "utf8"),
+                      { filename: filename });
+});
+
+var parseArgs = function (argv) {
+  var options = { trials: 3000, seed: 1 };
+  for (var i = 0; i < argv.length; i += 2) {
+    var key = argv[i].slice(2);
+    var value = Number(argv[i + 1]);
+    if (argv[i].indexOf("--") !== 0 || !(key in options) || !isFinite(value)) {
+      throw new Error("Unexpected argument: " + argv[i]);
+    }
+    options[key] = value;
+  }
+  return options;
+};
+
+// A board from Grid.minSize to Grid.maxSize, about 70% full
+var randomGrid = function (random) {
+  var size = Grid.minSize +
+    Math.floor(random.next() * (Grid.maxSize - Grid.minSize + 1));
+  // Narrow exponent ranges make merges, and the 2048 cap, likely
+  var low = 1 + Math.floor(random.next() * Bitboard.maxExponent);
+  var grid = new Grid(size);
+
+  for (var x = 0; x < size; x++) {
+    for (var y = 0; y < size; y++) {
+      if (random.next() < 0.3) continue;
+      var exponent = Math.min(low + Math.floor(random.next() * 3),
+                              Bitboard.maxExponent);
+      grid.insertTile(new Tile({ x: x, y: y }, Math.pow(2, exponent)));
+    }
+  }
+  return grid;
+};
+
+var crossCheck = function (trials, random) {
+  var mismatches = [];
+
+  for (var t = 0; t < trials; t++) {
+    var grid = randomGrid(random);
+    var board = Bitboard.fromGrid(grid);
+
+    for (var direction = 0; direction < 4; direction++) {
+      var moved = grid.clone();
+      var expected = moved.move(direction);
+      var actual = Bitboard.move(board, direction);
+      var same = expected.moved === actual.moved &&
+        expected.score === actual.score &&
+        Bitboard.key(Bitboard.fromGrid(moved)) === Bitboard.key(actual.board);
+
+      if (!same) {
+        mismatches.push({ board: grid.toString(), direction: direction });
+      }
+    }
+  }
+  return mismatches;
+};
+
+var main = function () {
+  var options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  var mismatches = crossCheck(options.trials, new SeededRandom(options.seed));
+  mismatches.slice(0, 10).forEach(function (mismatch) {
+    console.log("Direction " + mismatch.direction + " differs on\n" +
+                mismatch.board + "\n");
+  });
+  console.log(options.trials + " boards, " + mismatches.length + " mismatches");
+  process.exit(mismatches.length ? 1 : 0);
+};
+
+main();
@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+// Headless self-play benchmark for the AI strategies.
+//
+// Plays N games with Grid and an AI only (no HTMLActuator, no
+// KeyboardInputManager, no animation delay) and prints statistics, so a
+// heuristic change can be measured before it is trusted.
+//
+//   node tools/simulate.js [--games 20] [--seed 1] [--time 50] [--depth n]
+//                          [--size 4] [--mode minimax|expectimax]
+//                          [--profile stacking] [--max-moves 20000] [--json]
+//                          [--endgame 3] [--strategy smart|montecarlo]
+//                          [--corner bottom-left] [--order snake|rows]
+//                          [--rollouts 100]
+//
+// --time is the search budget per move in milliseconds. --depth caps the
+// search depth; given without --time the budget is unlimited, which makes a
+// run fully reproducible from its seed. --endgame is the empty-cell count at
+// or below which moves come from the exact endgame solver (0 turns it off).
+// --strategy picks the AIRegistry strategy. The Monte Carlo AI plays
+// --rollouts games per move (default rollout depth and guidance) and
+// ignores --mode, --profile and --depth; its rollouts are seeded from the
+// game's seed, and without --time its budget is the rollout count alone,
+// so those runs are reproducible too.
+// --corner and --order set the BoardLayout the evaluation rewards; the
+// report then tells how often the biggest tile sat in that corner and how
+// many moves took it out.
+//
+// Game i (counting from 0) spawns from seed + i. Only the spawn stream is
+// reproducible in the page: with that seed it draws the same random numbers,
+// but auto-run searches against the clock, so its moves depend on machine
+// speed, and once one differs the spawns land on other cells.
+
+var fs   = require("fs");
+var path = require("path");
+var vm   = require("vm");
+
+// The game files are plain browser scripts that define globals
+[
+  "seeded_random.js", "grid.js", "tile.js", "bitboard.js",
+  "transposition_table.js", "ai_profiles.js", "ai_registry.js",
+  "board_layout.js", "danger_estimator.js", "endgame_solver.js", "smart_ai.js",
+  "monte_carlo_ai.js"
+].forEach(function (file) {
+  var filename = path.join(__dirname, "..", "js", file);
+  vm.runInThisContext(fs.readFileSync(filename, "utf8"),
+                      { filename: filename });
+});
+
+var parseArgs = function (argv) {
+  var options = {
+    games: 20,
+    seed: 1,
+    time: null,
+    depth: null,
+    size: 4,
+    mode: SearchMode.MINIMAX,
+    profile: AIProfiles.defaultName,
+    maxMoves: 20000,
+    endgame: SmartAI.prototype.endgame.threshold,
+    strategy: AIRegistry.defaultName,
+    corner: null,
+    order: "snake",
+    rollouts: MonteCarloAI.defaults.rollouts,
+    json: false
+  };
+  var numeric = ["games", "seed", "time", "depth", "size", "maxMoves",
+                 "endgame", "rollouts"];
+
+  for (var i = 0; i < argv.length; i++) {
+    var arg = argv[i];
+    if (arg === "--json") {
+      options.json = true;
+      continue;
+    }
+    if (arg.indexOf("--") !== 0 || i + 1 >= argv.length) {
+      throw new Error("Unexpected argument: " + arg);
+    }
+    var key = arg.slice(2).replace(/-([a-z])/g, function (_, c) {
+      return c.toUpperCase();
+    });
+    if (!(key in options)) throw new Error("Unknown option: " + arg);
+
+    var value = argv[++i];
+    if (numeric.indexOf(key) !== -1) {
+      value = Number(value);
+      if (!isFinite(value)) throw new Error(arg + " expects a number");
+    }
+    options[key] = value;
+  }
+
+  // A move only has to be bounded once: by depth, by rollouts or by time
+  if (options.time === null) {
+    var bounded = options.depth !== null || options.strategy === "montecarlo";
+    options.time = bounded ? Infinity : 50;
+  }
+  return options;
+};
+
+// Same steps as auto-run in the page: start tiles, then search, move and
+// spawn until the board is stuck
+var playGame = function (options, profile, seed) {
+  var grid = new Grid(options.size, null, new SeededRandom(seed));
+  grid.addStartTiles();
+
+  var layout = BoardLayout.normalize({
+    corner: options.corner,
+    order: options.order
+  });
+  var ai = AIRegistry.prepare(null, grid, {
+    strategy: options.strategy,
+    seed: seed, // rollouts of the Monte Carlo AI
+    monteCarlo: { rollouts: options.rollouts },
+    profile: profile,
+    searchMode: options.mode,
+    endgame: {
+      threshold: options.endgame,
+      objective: EndgameObjective.SURVIVAL
+    },
+    layout: layout
+  });
+
+  var game = {
+    seed: seed, score: 0, moves: 0, maxTile: 0, count2048: 0,
+    anchored: 0, dislodged: 0, moveTimes: []
+  };
+
+  while (game.moves < options.maxMoves) {
+    var start = Date.now();
+    var best = ai.getBest({ timeLimit: options.time });
+    game.moveTimes.push(Date.now() - start);
+    if (best.move === -1) break;
+    var board = Bitboard.fromGrid(grid);
+    if (layout.corner && BoardLayout.anchored(board, layout)) game.anchored++;
+    if (best.moves[best.move].dislodgesAnchor) game.dislodged++;
+
+    game.score += grid.move(best.move).score;
+    game.moves++;
+    grid.computerMove();
+    if (!grid.movesAvailable()) break;
+  }
+
+  grid.eachCell(function (x, y, tile) {
+    if (!tile) return;
+    game.maxTile = Math.max(game.maxTile, tile.value);
+    if (tile.value >= 2048) game.count2048++;
+  });
+  return game;
+};
+
+// Nearest-rank percentile of a sorted array
+var percentile = function (sorted, p) {
+  if (!sorted.length) return 0;
+  var index = Math.ceil(p / 100 * sorted.length) - 1;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, index))];
+};
+
+var ascending = function (a, b) {
+  return a - b;
+};
+
+var mean = function (values) {
+  if (!values.length) return 0;
+  return values.reduce(function (a, b) { return a + b; }, 0) / values.length;
+};
+
+var summarize = function (options, games) {
+  var scores = games.map(function (g) { return g.score; }).sort(ascending);
+  var moves = games.map(function (g) { return g.moves; }).sort(ascending);
+  var times = [].concat.apply([], games.map(function (g) {
+    return g.moveTimes;
+  })).sort(ascending);
+
+  var maxTiles = {};
+  games.forEach(function (g) {
+    maxTiles[g.maxTile] = (maxTiles[g.maxTile] || 0) + 1;
+  });
+
+  var counts2048 = games.map(function (g) { return g.count2048; });
+  var most2048 = Math.max.apply(null, counts2048.concat(0));
+  var reach2048 = {};
+  for (var k = 1; k <= most2048; k++) {
+    reach2048[k] = counts2048.filter(function (count) {
+      return count >= k;
+    }).length / games.length;
+  }
+
+  return {
+    options: options,
+    games: games.length,
+    maxTile: maxTiles,
+    score: {
+      mean: mean(scores), min: scores[0], max: scores[scores.length - 1],
+      p10: percentile(scores, 10), p25: percentile(scores, 25),
+      p50: percentile(scores, 50), p75: percentile(scores, 75),
+      p90: percentile(scores, 90)
+    },
+    moves: { mean: mean(moves), min: moves[0], max: moves[moves.length - 1] },
+    anchored: games.reduce(function (n, g) { return n + g.anchored; }, 0) /
+      Math.max(1, games.reduce(function (n, g) { return n + g.moves; }, 0)),
+    dislodged: mean(games.map(function (g) { return g.dislodged; })),
+    moveTime: {
+      mean: mean(times), p50: percentile(times, 50), p95: percentile(times, 95)
+    },
+    reach2048: reach2048
+  };
+};
+
+var pct = function (fraction) {
+  return (fraction * 100).toFixed(1) + "%";
+};
+
+var printReport = function (report) {
+  var o = report.options;
+  var smart = o.strategy === "smart";
+  var budget = isFinite(o.time) ? o.time + " ms" : "unlimited time";
+  if (!smart) {
+    budget = o.rollouts + " rollouts" +
+      (isFinite(o.time) ? " (at most " + o.time + " ms)" : "");
+  }
+  console.log(AIRegistry.get(o.strategy).label + " self-play: " +
+              report.games + " games, " + o.size + "x" + o.size +
+              (smart ? ", " + o.mode + ", profile " + o.profile : "") +
+              ", seed " + o.seed + ", " + budget + " per move" +
+              (smart && o.depth !== null ? ", max depth " + o.depth : "") +
+              (smart && o.endgame ?
+                ", endgame solver at " + o.endgame + " empty cells" : "") +
+              (o.corner ? ", " + o.order + " layout from the " + o.corner +
+                " corner" : ""));
+
+  console.log("\nMax tile");
+  Object.keys(report.maxTile).map(Number).sort(ascending).reverse()
+    .forEach(function (tile) {
+      var count = report.maxTile[tile];
+      console.log("  " + String(tile).padStart(6) + "  " +
+                  String(count).padStart(5) + "  " + pct(count / report.games));
+    });
+
+  var s = report.score;
+  console.log("\nScore");
+  console.log("  mean " + s.mean.toFixed(0) + "  min " + s.min +
+              "  max " + s.max);
+  console.log("  p10 " + s.p10 + "  p25 " + s.p25 + "  p50 " + s.p50 +
+              "  p75 " + s.p75 + "  p90 " + s.p90);
+
+  console.log("\nMoves per game");
+  console.log("  mean " + report.moves.mean.toFixed(1) +
+              "  min " + report.moves.min + "  max " + report.moves.max);
+
+  if (o.corner) {
+    console.log("  biggest tile anchored before " + pct(report.anchored) +
+                " of moves, mean moves dislodging it " +
+                report.dislodged.toFixed(1));
+  }
+
+  console.log("\nTime per move (ms)");
+  console.log("  mean " + report.moveTime.mean.toFixed(1) +
+              "  p50 " + report.moveTime.p50 + "  p95 " + report.moveTime.p95);
+
+  console.log("\nGames reaching k tiles of 2048");
+  var ks = Object.keys(report.reach2048);
+  if (!ks.length) console.log("  none");
+  ks.forEach(function (k) {
+    console.log("  k=" + k + "  " + pct(report.reach2048[k]));
+  });
+};
+
+var main = function () {
+  var options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    process.exit(1);
+  }
+
+  if (!AIRegistry.strategies[options.strategy]) {
+    console.error("Unknown strategy: " + options.strategy);
+    process.exit(1);
+  }
+
+  if (options.corner !== null &&
+      BoardLayout.corners.indexOf(options.corner) === -1) {
+    console.error("Unknown corner: " + options.corner + " (one of " +
+                  BoardLayout.corners.join(", ") + ")");
+    process.exit(1);
+  }
+  if (BoardLayout.orders.indexOf(options.order) === -1) {
+    console.error("Unknown order: " + options.order);
+    process.exit(1);
+  }
+
+  var profile = AIProfiles.get(options.profile);
+  if (profile.name !== options.profile) {
+    console.error("Unknown profile: " + options.profile);
+    process.exit(1);
+  }
+  if (options.depth !== null) {
+    profile = AIProfiles.normalize(
+      Object.assign({}, profile, { maxDepth: options.depth }));
+  }
+
+  var games = [];
+  for (var i = 0; i < options.games; i++) {
+    var game = playGame(options, profile, (options.seed + i) >>> 0);
+    games.push(game);
+    process.stderr.write("game " + (i + 1) + "/" + options.games +
+                         " (seed " + game.seed + "): score " + game.score +
+                         ", max tile " + game.maxTile + ", " +
+                         game.moves + " moves\n");
+  }
+
+  var report = summarize(options, games);
+  if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    printReport(report);
+  }
+};
+
+main();